@@ -0,0 +1,2140 @@
+// Programmatic client for MediathekViewWeb: search, entry lookup and downloads.
+// The CLI (index.js) is built on it. Nothing in here writes to the console or
+// exits the process - errors are thrown and progress is reported as events.
+import { EventEmitter } from 'events';
+import { io } from 'socket.io-client';
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+import { createWriteStream } from 'fs';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import crypto from 'crypto';
+import readline from 'readline';
+import zlib from 'zlib';
+import os from 'os';
+
+export const DEFAULT_SERVER = 'https://mediathekviewweb.de';
+
+// Entry fields holding the video URL per quality, best first
+export const QUALITY_FIELDS = {
+  hd: 'url_video_hd',
+  medium: 'url_video',
+  low: 'url_video_low'
+};
+
+// Per-user data directory (sync state etc.), following platform conventions
+export function getDataDir() {
+  if (process.env.XDG_DATA_HOME) {
+    return path.join(process.env.XDG_DATA_HOME, 'mediathekview');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', 'mediathekview');
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'mediathekview');
+  }
+  return path.join(os.homedir(), '.local', 'share', 'mediathekview');
+}
+
+// Per-user cache directory for server responses, following platform conventions
+export function getCacheDir() {
+  if (process.env.XDG_CACHE_HOME) {
+    return path.join(process.env.XDG_CACHE_HOME, 'mediathekview');
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Caches', 'mediathekview');
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'mediathekview', 'Cache');
+  }
+  return path.join(os.homedir(), '.cache', 'mediathekview');
+}
+
+// Seconds a cached server response stays fresh, per type. Search results
+// change with every film list update, channels and descriptions hardly ever.
+export const CACHE_TTLS = {
+  channels: 24 * 60 * 60,
+  queries: 10 * 60,
+  descriptions: 7 * 24 * 60 * 60
+};
+
+// Fields that can be searched with field:value in a query
+const QUERY_FIELDS = {
+  title: ['title'],
+  topic: ['topic'],
+  channel: ['channel'],
+  description: ['description'],
+  desc: ['description']
+};
+
+// Other fields a query term may name (filters and result order)
+const QUERY_OPTION_FIELDS = ['dur', 'duration', 'after', 'before', 'sort', 'order', 'future'];
+
+// Sort keys accepted by sort:<key> in a query
+const QUERY_SORT_FIELDS = {
+  date: 'timestamp',
+  timestamp: 'timestamp',
+  duration: 'duration',
+  channel: 'channel'
+};
+
+// Sort keys of the sort filter of search(), with their order: newest and
+// longest first, channels and titles alphabetically. title is not supported
+// by the server, so it only orders the results of a page.
+export const SORT_ORDERS = {
+  date: 'desc',
+  duration: 'desc',
+  channel: 'asc',
+  title: 'asc'
+};
+
+// Entries with the same topic and title whose durations differ by at most this
+// many seconds are treated as the same broadcast (e.g. aired on two channels)
+export const DUPLICATE_DURATION_TOLERANCE = 60;
+
+// A download history entry only stands for such a broadcast if it was aired
+// at most this many seconds apart, so the next episode of a daily show with
+// the same title isn't taken for one already downloaded
+export const HISTORY_TIMESTAMP_TOLERANCE = 2 * 3600;
+
+// Selectors of the MediathekViewWeb search syntax (used in share links) and
+// the query syntax field they stand for; > and < are minutes
+const SHARE_LINK_SELECTORS = {
+  '!': 'channel',
+  '#': 'topic',
+  '+': 'title',
+  '*': 'description',
+  '>': 'dur:>',
+  '<': 'dur:<'
+};
+
+// Hosts of share links, besides the host of the server in use
+const SHARE_LINK_HOSTS = ['mediathekviewweb.de', 'www.mediathekviewweb.de'];
+
+// Resolving a broadcaster page: how long to wait for it, how many candidate
+// titles to search and how many results to check per search
+const WEBSITE_TIMEOUT_MS = 10000;
+const WEBSITE_SEARCH_ATTEMPTS = 4;
+const WEBSITE_SEARCH_LIMIT = 50;
+
+// Columns of an entry in a MediathekView Filmliste file ("X" arrays)
+const FILMLISTE_COLUMNS = {
+  channel: 0,
+  topic: 1,
+  title: 2,
+  date: 3,
+  time: 4,
+  duration: 5,
+  sizeMb: 6,
+  description: 7,
+  url: 8,
+  website: 9,
+  subtitle: 10,
+  urlSmall: 12,
+  urlHd: 14,
+  timestamp: 16
+};
+
+// Download retries after transient errors, with exponential backoff
+export const DOWNLOAD_RETRIES = 5;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Parallel segment downloads per HLS stream
+const HLS_SEGMENT_JOBS = 4;
+
+// How to talk to the server: socket.io with REST fallback, or only one of them
+export const TRANSPORTS = ['auto', 'socket', 'rest'];
+
+// Give up on a socket.io connection attempt after this long
+const SOCKET_CONNECT_TIMEOUT_MS = 5000;
+
+// Syntax error in a search query, with the 1-based column it occurred at
+export class QuerySyntaxError extends Error {
+  constructor(message, column) {
+    super(`${message} at column ${column}`);
+    this.name = 'QuerySyntaxError';
+    this.column = column;
+  }
+}
+
+// Split a query string into terms: [!][field:]value, where value may be "quoted".
+// A word that is no known field, or a colon followed by a space (as in
+// "Tatort: Borowski"), is plain text.
+function tokenizeQuery(input) {
+  const terms = [];
+  let i = 0;
+  
+  const isSpace = ch => /\s/.test(ch);
+  const atEnd = () => i >= input.length || isSpace(input[i]);
+  
+  const readQuoted = () => {
+    const start = i;
+    const end = input.indexOf('"', i + 1);
+    if (end === -1) {
+      throw new QuerySyntaxError('Unterminated quote', start + 1);
+    }
+    i = end + 1;
+    if (!atEnd()) {
+      throw new QuerySyntaxError('Expected a space after closing quote', i + 1);
+    }
+    return input.slice(start + 1, end);
+  };
+  
+  const readWord = (stopAtColon) => {
+    const start = i;
+    while (!atEnd() && !(stopAtColon && input[i] === ':')) {
+      if (input[i] === '"') {
+        throw new QuerySyntaxError('Unexpected quote', i + 1);
+      }
+      i++;
+    }
+    return input.slice(start, i);
+  };
+  
+  while (i < input.length) {
+    if (isSpace(input[i])) {
+      i++;
+      continue;
+    }
+    
+    const column = i + 1;
+    const negate = input[i] === '!';
+    if (negate) {
+      i++;
+      if (atEnd()) {
+        throw new QuerySyntaxError("Expected a search term after '!'", i + 1);
+      }
+    }
+    
+    if (input[i] === '"') {
+      terms.push({ negate, field: null, value: readQuoted(), column, valueColumn: column + (negate ? 1 : 0) });
+      continue;
+    }
+    
+    const word = readWord(true);
+    const isField = QUERY_FIELDS[word.toLowerCase()] || QUERY_OPTION_FIELDS.includes(word.toLowerCase());
+    if (input[i] !== ':' || !isField || i + 1 >= input.length || isSpace(input[i + 1])) {
+      const text = word + readWord(false);
+      terms.push({ negate, field: null, value: text, column, valueColumn: column + (negate ? 1 : 0) });
+      continue;
+    }
+    
+    i++;
+    const valueColumn = i + 1;
+    const value = input[i] === '"' ? readQuoted() : readWord(false);
+    if (value.length === 0) {
+      throw new QuerySyntaxError(`Missing value for '${word}:'`, valueColumn);
+    }
+    
+    terms.push({ negate, field: word.toLowerCase(), value, column, valueColumn });
+  }
+  
+  return terms;
+}
+
+// Seconds of a duration like 90, 90m, 1h30m or 45s (plain numbers are
+// minutes), or null if the text is no duration
+function durationToSeconds(text) {
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 60;
+  }
+  
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+  if (!match || text.length === 0) {
+    return null;
+  }
+  
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+// Parse a duration term value into seconds
+function parseDurationValue(text, column) {
+  const seconds = durationToSeconds(text);
+  if (seconds === null) {
+    throw new QuerySyntaxError(`Invalid duration '${text}' (expected e.g. 90, 90m, 1h30m or 45s)`, column);
+  }
+  return seconds;
+}
+
+// Parse a duration like 90, 90m, 1h30m or 45s into seconds (plain numbers are minutes)
+export function parseDuration(text) {
+  const seconds = durationToSeconds(String(text).trim());
+  if (seconds === null) {
+    throw new Error(`Invalid duration "${text}" (expected e.g. 90, 90m, 1h30m or 45s)`);
+  }
+  return seconds;
+}
+
+// Parse a dur: value (>60m, <2h, 30m-90m) into { min, max } in seconds
+function parseDurationRange(text, column) {
+  if (text.startsWith('>') || text.startsWith('<')) {
+    const offset = text[1] === '=' ? 2 : 1;
+    const seconds = parseDurationValue(text.slice(offset), column + offset);
+    return text[0] === '>' ? { min: seconds } : { max: seconds };
+  }
+  
+  const dash = text.indexOf('-');
+  if (dash === -1) {
+    throw new QuerySyntaxError(`Invalid duration filter '${text}' (expected >N, <N or N-M)`, column);
+  }
+  
+  const min = parseDurationValue(text.slice(0, dash), column);
+  const max = parseDurationValue(text.slice(dash + 1), column + dash + 1);
+  if (min > max) {
+    throw new QuerySyntaxError('Duration range minimum is larger than maximum', column);
+  }
+  return { min, max };
+}
+
+// Parse a YYYY-MM-DD date (local time) into a Date at the start of that day
+function parseQueryDate(text, column) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  
+  if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+    throw new QuerySyntaxError(`Invalid date '${text}' (expected YYYY-MM-DD)`, column);
+  }
+  return date;
+}
+
+// Parse a YYYY-MM-DD date, or a number of days (7d) or weeks (2w) ago, into a
+// Date at the start of that day (local time)
+export function parseDate(text) {
+  const relative = /^(\d+)([dw])$/i.exec(String(text).trim());
+  if (relative) {
+    const days = Number(relative[1]) * (relative[2].toLowerCase() === 'w' ? 7 : 1);
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() - days);
+  }
+  
+  try {
+    return parseQueryDate(String(text).trim(), 1);
+  } catch {
+    throw new Error(`Invalid date "${text}" (expected YYYY-MM-DD, or e.g. 7d or 2w for days or weeks ago)`);
+  }
+}
+
+// Compile a query string into queryEntries fields plus client-side filters.
+// Negated terms and date bounds are not supported by the server query and
+// are applied to the returned results instead.
+export function parseQuery(input) {
+  const parsed = {
+    queries: [],
+    exclusions: [],
+    sortBy: 'timestamp',
+    sortOrder: 'desc',
+    future: false,
+    after: null,
+    before: null
+  };
+  const words = [];
+  
+  tokenizeQuery(input).forEach(term => {
+    const { negate, field, value, column, valueColumn } = term;
+    
+    if (field === null || QUERY_FIELDS[field]) {
+      const fields = field === null ? ['title', 'topic'] : QUERY_FIELDS[field];
+      if (negate) {
+        parsed.exclusions.push({ fields, value });
+      } else if (field === null) {
+        words.push(value);
+      } else {
+        parsed.queries.push({ fields, query: value });
+      }
+      return;
+    }
+    
+    if (negate) {
+      throw new QuerySyntaxError(`'${field}:' cannot be negated`, column);
+    }
+    
+    switch (field) {
+      case 'dur':
+      case 'duration': {
+        const { min, max } = parseDurationRange(value, valueColumn);
+        if (min !== undefined) parsed.duration_min = min;
+        if (max !== undefined) parsed.duration_max = max;
+        break;
+      }
+      case 'after':
+        parsed.after = parseQueryDate(value, valueColumn);
+        break;
+      case 'before': {
+        // Inclusive: everything up to the end of that day
+        const date = parseQueryDate(value, valueColumn);
+        parsed.before = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+        break;
+      }
+      case 'sort':
+        if (!QUERY_SORT_FIELDS[value.toLowerCase()]) {
+          throw new QuerySyntaxError(`Unknown sort key '${value}' (expected ${Object.keys(QUERY_SORT_FIELDS).join(', ')})`, valueColumn);
+        }
+        parsed.sortBy = QUERY_SORT_FIELDS[value.toLowerCase()];
+        break;
+      case 'order':
+        if (!['asc', 'desc'].includes(value.toLowerCase())) {
+          throw new QuerySyntaxError(`Unknown sort order '${value}' (expected asc or desc)`, valueColumn);
+        }
+        parsed.sortOrder = value.toLowerCase();
+        break;
+      case 'future':
+        if (!['yes', 'no', 'true', 'false'].includes(value.toLowerCase())) {
+          throw new QuerySyntaxError(`Invalid value '${value}' for 'future:' (expected yes or no)`, valueColumn);
+        }
+        parsed.future = ['yes', 'true'].includes(value.toLowerCase());
+        break;
+    }
+  });
+  
+  if (words.length > 0) {
+    parsed.queries.unshift({ fields: ['title', 'topic'], query: words.join(' ') });
+  }
+  
+  if (parsed.after && parsed.before && parsed.after >= parsed.before) {
+    throw new QuerySyntaxError("'after:' date is not before 'before:' date", 1);
+  }
+  
+  // Dates beyond today need upcoming broadcasts included
+  if (parsed.before && parsed.before > new Date()) {
+    parsed.future = true;
+  }
+  
+  return parsed;
+}
+
+// Check a result against the client-side parts of a parsed query
+export function matchesQueryFilters(item, parsed) {
+  const excluded = parsed.exclusions.some(({ fields, value }) =>
+    fields.some(field => String(item[field] || '').toLowerCase().includes(value.toLowerCase()))
+  );
+  if (excluded) return false;
+  
+  if (parsed.after && item.timestamp * 1000 < parsed.after.getTime()) return false;
+  if (parsed.before && item.timestamp * 1000 >= parsed.before.getTime()) return false;
+  
+  return true;
+}
+
+// Add the filters of search() to a parsed query: duration bounds go to the
+// server, the date window is applied to the results. Bounds that are already
+// in the query are kept if they are narrower.
+export function applySearchFilters(parsed, { minDuration = null, maxDuration = null, since = null, until = null, sort = null } = {}) {
+  if (minDuration !== null) {
+    parsed.duration_min = Math.max(parsed.duration_min ?? 0, minDuration);
+  }
+  if (maxDuration !== null) {
+    parsed.duration_max = Math.min(parsed.duration_max ?? Infinity, maxDuration);
+  }
+  if (since && (!parsed.after || since > parsed.after)) {
+    parsed.after = since;
+  }
+  if (until && (!parsed.before || until < parsed.before)) {
+    parsed.before = until;
+    parsed.future = parsed.future || until > new Date();
+  }
+  if (sort && sort !== 'title') {
+    parsed.sortBy = QUERY_SORT_FIELDS[sort];
+    parsed.sortOrder = SORT_ORDERS[sort];
+  }
+  return parsed;
+}
+
+// Sort results by a key of SORT_ORDERS (stable, so ties keep the server order)
+export function sortResults(results, sort) {
+  const field = sort === 'title' ? 'title' : QUERY_SORT_FIELDS[sort];
+  const direction = SORT_ORDERS[sort] === 'asc' ? 1 : -1;
+  const compare = (a, b) => typeof a === 'string'
+    ? a.localeCompare(b, 'de', { sensitivity: 'base' })
+    : a - b;
+  return [...results].sort((a, b) => direction * compare(a[field] ?? '', b[field] ?? ''));
+}
+
+// Check a channel name against a pattern: case-insensitive, with * and ? as wildcards
+export function matchesChannelPattern(channel, pattern) {
+  const source = pattern.split(/([*?])/)
+    .map(part => part === '*' ? '.*' : part === '?' ? '.' : part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`, 'i').test(channel || '');
+}
+
+// Lowercase text with collapsed whitespace for broadcast comparisons
+function normalizeBroadcastText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Same topic, title and (roughly) duration - the channel may differ
+export function isSameBroadcast(a, b) {
+  const title = normalizeBroadcastText(b.title);
+  return title !== ''
+    && normalizeBroadcastText(a.title) === title
+    && normalizeBroadcastText(a.topic) === normalizeBroadcastText(b.topic)
+    && Math.abs((a.duration || 0) - (b.duration || 0)) <= DUPLICATE_DURATION_TOLERANCE;
+}
+
+// The same broadcast aired at (roughly) the same time, for matching the
+// download history - entries without a timestamp only match by ID
+export function isSameAiring(a, b) {
+  return Boolean(a.timestamp && b.timestamp)
+    && Math.abs(a.timestamp - b.timestamp) <= HISTORY_TIMESTAMP_TOLERANCE
+    && isSameBroadcast(a, b);
+}
+
+// Keep one entry per broadcast: the one from the first of the preferred
+// channels (patterns as for exclusions), otherwise the one with the best
+// video quality. Kept entries stay at the position of the first of their group.
+export function dedupeResults(results, preferredChannels = []) {
+  const rank = (item) => {
+    const index = preferredChannels.findIndex(pattern => matchesChannelPattern(item.channel, pattern));
+    return index === -1 ? preferredChannels.length : index;
+  };
+  const quality = item => Object.values(QUALITY_FIELDS).findIndex(field => item[field]);
+  const isBetter = (item, kept) => rank(item) !== rank(kept)
+    ? rank(item) < rank(kept)
+    : quality(item) !== -1 && (quality(kept) === -1 || quality(item) < quality(kept));
+  
+  const kept = [];
+  results.forEach(item => {
+    const index = kept.findIndex(other => isSameBroadcast(other, item));
+    if (index === -1) {
+      kept.push(item);
+    } else if (isBetter(item, kept[index])) {
+      kept[index] = item;
+    }
+  });
+  return kept;
+}
+
+// A value for the query syntax, quoted if it contains spaces, quotes or colons
+function quoteQueryValue(value) {
+  return /[\s":]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+// Turn a MediathekViewWeb search link (https://mediathekviewweb.de/#query=...)
+// into queries of the query syntax, or null if it is no such link. Commas in a
+// term list alternatives; there is no "or" in the query syntax, so every
+// combination becomes a query of its own.
+export function parseShareLink(link, server = DEFAULT_SERVER) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return null;
+  }
+  if (![...SHARE_LINK_HOSTS, new URL(server).host].includes(url.host)) {
+    return null;
+  }
+  
+  // The web app keeps its state in the fragment; plain query parameters work too
+  const params = new URLSearchParams(url.hash.replace(/^#/, ''));
+  url.searchParams.forEach((value, key) => {
+    if (!params.has(key)) params.set(key, value);
+  });
+  
+  // Other pages on the host of a self-hosted server are no share links
+  const text = (params.get('query') || '').trim();
+  if (!text && !SHARE_LINK_HOSTS.includes(url.host)) {
+    return null;
+  }
+  if (!text) {
+    throw new Error(`No search in link ${link}`);
+  }
+  
+  let queries = [[]];
+  text.split(/\s+/).forEach(token => {
+    const selector = SHARE_LINK_SELECTORS[token[0]];
+    const alternatives = (selector ? token.slice(1) : token).split(',').map(value => value.trim()).filter(Boolean);
+    if (alternatives.length === 0) return;
+    
+    const terms = alternatives.map(value => {
+      if (!selector) return quoteQueryValue(value);
+      if (selector.startsWith('dur:')) return `${selector}${value}`;
+      return `${selector}:${quoteQueryValue(value)}`;
+    });
+    queries = queries.flatMap(query => terms.map(term => [...query, term]));
+  });
+  
+  if (params.get('future') === 'true') {
+    queries = queries.map(query => [...query, 'future:yes']);
+  }
+  return queries.map(query => query.join(' '));
+}
+
+// Broadcaster page URL reduced for comparisons: no protocol, "www.", fragment or trailing slash
+function normalizeWebsiteUrl(link) {
+  try {
+    const url = new URL(link);
+    return `${url.host.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Decode the HTML entities that show up in page titles
+function decodeHtmlEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return named[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Texts to search for when looking up a broadcaster page: its title, the
+// parts of the title (site names are often appended with " | " or " - ")
+// and the words of the URL path. The page is optional - if it can't be
+// loaded, only the URL is used.
+async function getWebsiteSearchTerms(link, context) {
+  const titles = [];
+  try {
+    const response = await fetch(link, { signal: AbortSignal.timeout(WEBSITE_TIMEOUT_MS) });
+    if (response.ok) {
+      const html = await response.text();
+      const ogTitle = /<meta[^>]+property=["']og:title["'][^>]+content=["']([^"']+)["']/i.exec(html)
+        || /<meta[^>]+content=["']([^"']+)["'][^>]+property=["']og:title["']/i.exec(html);
+      const title = /<title[^>]*>([^<]+)<\/title>/i.exec(html);
+      [ogTitle, title].filter(Boolean).forEach(match => titles.push(decodeHtmlEntities(match[1]).trim()));
+    } else {
+      context.debug('Website not loaded', { link, status: response.status });
+    }
+  } catch (error) {
+    context.debug('Website not loaded', { link, error: error.message });
+  }
+  
+  const parts = titles.flatMap(title => title.split(/\s+[|\-–—·:]\s+/)).sort((a, b) => b.length - a.length);
+  const slugs = new URL(link).pathname.split('/')
+    .filter(segment => /[a-z]{3,}/i.test(segment) && !/^\w*\d{4,}\w*$/.test(segment))
+    .reverse()
+    .map(segment => decodeURIComponent(segment).replace(/\.\w+$/, '').replace(/[-_+]+/g, ' '));
+  
+  return [...new Set([...titles, ...parts, ...slugs].map(text => text.trim()).filter(text => text.length >= 3))];
+}
+
+// Build the queryEntries payload for a parsed query
+export function buildSearchQuery(parsed, channel = null, limit = null, offset = 0) {
+  const searchQuery = {
+    queries: [...parsed.queries],
+    sortBy: parsed.sortBy,
+    sortOrder: parsed.sortOrder,
+    future: parsed.future,
+    offset
+  };
+  
+  if (parsed.duration_min !== undefined) {
+    searchQuery.duration_min = parsed.duration_min;
+  }
+  
+  if (parsed.duration_max !== undefined) {
+    searchQuery.duration_max = parsed.duration_max;
+  }
+  
+  // Add size limit if specified
+  if (limit) {
+    searchQuery.size = parseInt(limit, 10);
+  }
+  
+  // Add channel filter if provided
+  if (channel) {
+    searchQuery.queries.push({
+      fields: ['channel'],
+      query: channel
+    });
+  }
+  
+  return searchQuery;
+}
+
+// Split a comma-separated channel list
+export function parseChannelList(channels) {
+  return channels ? channels.split(',').map(ch => ch.trim()) : [];
+}
+
+// Streaming reader for the Filmliste format: { "Filmliste": [...], "Filmliste": [...], "X": [...], ... }.
+// Keys repeat, so the file can't go through JSON.parse as a whole; every array
+// of strings is passed to onArray(key, values) as soon as it is complete.
+function createFilmlisteParser(onArray) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let partial = '';
+  let key = null;
+  let values = [];
+  
+  const finishString = (raw) => {
+    const value = raw.includes('\\') ? JSON.parse(`"${raw}"`) : raw;
+    if (depth === 2) {
+      values.push(value);
+    } else {
+      key = value;
+    }
+  };
+  
+  return (chunk) => {
+    let start = 0;
+    
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk.charCodeAt(i);
+      
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (ch === 92) { // backslash
+          escaped = true;
+        } else if (ch === 34) { // closing quote
+          inString = false;
+          finishString(partial + chunk.slice(start, i));
+          partial = '';
+        }
+      } else if (ch === 34) {
+        inString = true;
+        start = i + 1;
+      } else if (ch === 91 || ch === 123) { // [ {
+        depth++;
+        values = [];
+      } else if (ch === 93 || ch === 125) { // ] }
+        if (depth === 2) onArray(key, values);
+        depth--;
+      }
+    }
+    
+    // Strings may continue in the next chunk
+    if (inString) {
+      partial += chunk.slice(start);
+    }
+  };
+}
+
+// Expand a compact Filmliste URL: "12|rest" reuses the first 12 characters of the base URL
+function expandFilmlisteUrl(value, baseUrl) {
+  const match = /^(\d+)\|(.*)$/.exec(value || '');
+  return match ? baseUrl.slice(0, Number(match[1])) + match[2] : value || '';
+}
+
+// Parse a Filmliste duration "HH:MM:SS" into seconds
+function parseFilmlisteDuration(value) {
+  const parts = (value || '').split(':').map(Number);
+  return parts.length === 3 && parts.every(Number.isFinite) ? parts[0] * 3600 + parts[1] * 60 + parts[2] : 0;
+}
+
+// Convert a Filmliste entry into the entry format of the MediathekViewWeb API.
+// Channel and topic are left empty when they repeat the previous entry's.
+function convertFilmlisteEntry(values, previous) {
+  const column = name => values[FILMLISTE_COLUMNS[name]] || '';
+  const channel = column('channel') || previous.channel;
+  const topic = column('topic') || previous.topic;
+  const url = column('url');
+  
+  let timestamp = parseInt(column('timestamp'), 10);
+  if (!timestamp) {
+    // Fall back to "DD.MM.YYYY" and "HH:MM:SS" (German local time, close enough)
+    const [day, month, year] = column('date').split('.').map(Number);
+    const [hours = 0, minutes = 0] = column('time').split(':').map(Number);
+    timestamp = year ? Math.floor(new Date(year, month - 1, day, hours, minutes).getTime() / 1000) : 0;
+  }
+  
+  previous.channel = channel;
+  previous.topic = topic;
+  
+  return {
+    // Stable across imports, so history entries keep matching
+    id: crypto.createHash('sha1').update(`${channel}\n${topic}\n${column('title')}\n${url}`).digest('base64url').slice(0, 22),
+    channel,
+    topic,
+    title: column('title'),
+    description: column('description'),
+    timestamp,
+    duration: parseFilmlisteDuration(column('duration')),
+    size: Math.round((parseFloat(column('sizeMb')) || 0) * 1048576),
+    url_website: column('website'),
+    url_subtitle: column('subtitle'),
+    url_video: url,
+    url_video_low: expandFilmlisteUrl(column('urlSmall'), url),
+    url_video_hd: expandFilmlisteUrl(column('urlHd'), url)
+  };
+}
+
+// Open a Filmliste file as a stream of decompressed bytes. The format is
+// detected from the first bytes; xz needs the xz command, Node can't decode it.
+async function openFilmliste(file, context) {
+  const magic = Buffer.alloc(6);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, magic, 0, magic.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    context.debug('Filmliste is gzip compressed');
+    return [fs.createReadStream(file), zlib.createGunzip()];
+  }
+  
+  if (magic.equals(Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]))) {
+    context.debug('Filmliste is xz compressed, decompressing with xz');
+    const child = spawn('xz', ['--decompress', '--stdout', file], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', data => { stderr += data; });
+    
+    const exited = new Promise((resolve, reject) => {
+      child.on('error', (error) => reject(error.code === 'ENOENT'
+        ? new Error('Decompressing .xz files needs the xz command (xz-utils), or decompress the file first')
+        : error));
+      child.on('close', (code) => code === 0 ? resolve() : reject(new Error(`xz failed: ${stderr.trim() || `exit code ${code}`}`)));
+    });
+    
+    // Surface xz errors (and a missing xz binary) through the pipeline
+    async function* checkExit(chunks) {
+      yield* chunks;
+      await exited;
+    }
+    return [child.stdout, checkExit];
+  }
+  
+  return [fs.createReadStream(file)];
+}
+
+// Import a Filmliste file into indexFile, replacing the previous index. The
+// file is streamed and entries are written out as they are parsed.
+// onProgress(entries) is called after each chunk. Resolves to the index info.
+async function importFilmlisteFile(source, indexFile, onProgress, context) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`File not found: ${source}`);
+  }
+  
+  const tempFile = `${indexFile}.tmp`;
+  const channels = new Set();
+  const previous = { channel: '', topic: '' };
+  let listInfo = null;
+  let count = 0;
+  let pending = [];
+  
+  const parse = createFilmlisteParser((key, values) => {
+    if (key === 'Filmliste') {
+      // First array: creation dates and version, second: column names
+      listInfo = listInfo || values;
+      return;
+    }
+    
+    const entry = convertFilmlisteEntry(values, previous);
+    channels.add(entry.channel);
+    pending.push(JSON.stringify(entry) + '\n');
+    count++;
+  });
+  
+  async function* toIndexLines(chunks) {
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of chunks) {
+      parse(decoder.write(chunk));
+      if (pending.length > 0) {
+        yield pending.join('');
+        pending = [];
+        onProgress(count);
+      }
+    }
+    parse(decoder.end());
+    if (pending.length > 0) yield pending.join('');
+  }
+  
+  fs.mkdirSync(path.dirname(indexFile), { recursive: true });
+  
+  try {
+    await pipeline(...await openFilmliste(source, context), toIndexLines, fs.createWriteStream(tempFile));
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+  
+  if (count === 0) {
+    fs.rmSync(tempFile, { force: true });
+    throw new Error('No entries found - is this a MediathekView Filmliste file?');
+  }
+  
+  fs.renameSync(tempFile, indexFile);
+  context.debug('Local index written', { file: indexFile, entries: count });
+  
+  return {
+    source,
+    importedAt: new Date().toISOString(),
+    // "dd.MM.yyyy, HH:mm" in UTC, as written by MediathekView
+    listCreated: listInfo ? listInfo[1] : null,
+    entries: count,
+    channels: [...channels].sort()
+  };
+}
+
+// Read the local index line by line. filter(line) can reject lines before
+// they are parsed; onEntry(entry) returns false to stop reading.
+async function scanLocalIndex(indexFile, filter, onEntry) {
+  const lines = readline.createInterface({ input: fs.createReadStream(indexFile, 'utf8'), crlfDelay: Infinity });
+  
+  try {
+    for await (const line of lines) {
+      if (line && filter(line) && onEntry(JSON.parse(line)) === false) break;
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+// Answer a queryEntries payload from the local index, like the server does:
+// every word of a query must occur in one of its fields (case-insensitive).
+async function queryLocalIndex(indexFile, searchQuery, context) {
+  const queries = searchQuery.queries.map(({ fields, query }) => ({
+    fields,
+    words: query.toLowerCase().split(/\s+/).filter(Boolean)
+  }));
+  const allWords = queries.flatMap(query => query.words);
+  // Words without JSON escapes must appear verbatim in the raw line
+  const rawWords = allWords.filter(word => !/["\\]/.test(word));
+  
+  const now = Date.now() / 1000;
+  const offset = searchQuery.offset || 0;
+  const keep = searchQuery.size ? offset + searchQuery.size : Infinity;
+  const direction = searchQuery.sortOrder === 'asc' ? 1 : -1;
+  const sortBy = searchQuery.sortBy || 'timestamp';
+  const compare = (a, b) => direction * (a[sortBy] < b[sortBy] ? -1 : a[sortBy] > b[sortBy] ? 1 : 0);
+  
+  let matches = [];
+  let totalResults = 0;
+  
+  const matchesEntry = (entry) => {
+    if (!searchQuery.future && entry.timestamp > now) return false;
+    if (searchQuery.duration_min !== undefined && entry.duration < searchQuery.duration_min) return false;
+    if (searchQuery.duration_max !== undefined && entry.duration > searchQuery.duration_max) return false;
+    
+    return queries.every(({ fields, words }) => {
+      const text = fields.map(field => entry[field] || '').join('\n').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  };
+  
+  await scanLocalIndex(
+    indexFile,
+    (line) => {
+      const lowerLine = line.toLowerCase();
+      return rawWords.every(word => lowerLine.includes(word));
+    },
+    (entry) => {
+      if (!matchesEntry(entry)) return;
+      totalResults++;
+      matches.push(entry);
+      
+      // Only the best offset + size entries are needed
+      if (matches.length > keep * 2) {
+        matches = matches.sort(compare).slice(0, keep);
+      }
+    }
+  );
+  
+  const results = matches.sort(compare).slice(offset, keep);
+  context.debug('Local index query finished', { totalResults, resultCount: results.length });
+  
+  return {
+    results,
+    queryInfo: { resultCount: results.length, totalResults }
+  };
+}
+
+// Look up entries by ID in the local index
+async function findLocalEntries(indexFile, ids) {
+  const wanted = new Set(ids);
+  const found = [];
+  
+  await scanLocalIndex(
+    indexFile,
+    line => ids.some(id => line.includes(id)),
+    (entry) => {
+      if (wanted.has(entry.id)) found.push(entry);
+      return found.length < wanted.size;
+    }
+  );
+  return found;
+}
+
+// Error for a failed HTTP response; 5xx, 408 and 429 are worth retrying
+function httpError(response) {
+  const error = new Error(`Failed to download: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.transient = response.status >= 500 || response.status === 408 || response.status === 429;
+  return error;
+}
+
+// Network errors and dropped connections are retried, everything else is fatal
+function isTransientError(error) {
+  if (error.transient !== undefined) return error.transient;
+  return error.type === 'system' ||
+    ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_STREAM_PREMATURE_CLOSE'].includes(error.code) ||
+    /premature close/i.test(error.message);
+}
+
+// Total size from a Content-Range header ("bytes 100-199/200" or "bytes */200")
+function parseContentRangeTotal(contentRange) {
+  const match = /\/(\d+)$/.exec(contentRange || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Milliseconds to wait for the answer when checking a video URL
+const PROBE_TIMEOUT_MS = 10000;
+
+// Check a video URL without downloading it. Resolves to { available, size,
+// status, error }; size is null if the server doesn't report it and for HLS
+// playlists, whose size says nothing about the video. Servers that reject
+// HEAD are asked for the first byte instead.
+async function probeUrl(url, context) {
+  // Aborted by the timeout or by the caller's signal
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const onAbort = () => controller.abort();
+  context.signal?.addEventListener('abort', onAbort, { once: true });
+  if (context.signal?.aborted) controller.abort();
+  const { signal } = controller;
+  
+  try {
+    let response = await fetch(url, { method: 'HEAD', signal });
+    let size = parseInt(response.headers.get('content-length'), 10) || null;
+    
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url, { headers: { Range: 'bytes=0-0' }, signal });
+      size = response.status === 206 ? parseContentRangeTotal(response.headers.get('content-range')) : size;
+      response.body.destroy();
+    }
+    
+    const isPlaylist = /\.m3u8(\?|$)/i.test(url) || /mpegurl/i.test(response.headers.get('content-type') || '');
+    context.debug('Checked video URL', { url, status: response.status, size, isPlaylist });
+    return { available: response.ok, size: isPlaylist ? null : size, status: response.status, error: null };
+  } catch (error) {
+    if (context.signal?.aborted) throw error;
+    context.debug('Could not check video URL', { url, error: error.message });
+    return { available: false, size: null, status: null, error: error.message };
+  } finally {
+    clearTimeout(timer);
+    context.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// One transfer attempt into partFile, resuming from its current size when the
+// server supports ranges. Resolves to the size of the complete part file.
+async function transferAttempt(url, partFile, state, onProgress, context) {
+  let startByte = fs.existsSync(partFile) ? fs.statSync(partFile).size : 0;
+  
+  // A server without range support can't continue a partial file
+  if (startByte > 0 && state.rangesSupported === false) {
+    context.debug('Server does not support ranges, restarting download', { partFile, startByte });
+    fs.unlinkSync(partFile);
+    startByte = 0;
+  }
+  
+  context.debug('Initiating fetch request', { url, startByte });
+  const response = await fetch(url, {
+    headers: startByte > 0 ? { Range: `bytes=${startByte}-` } : {},
+    signal: context.signal
+  });
+  const contentLength = parseInt(response.headers.get('content-length'), 10) || null;
+  
+  context.debug('Fetch response received', { 
+    status: response.status, 
+    contentType: response.headers.get('content-type'),
+    contentLength,
+    acceptRanges: response.headers.get('accept-ranges'),
+    contentRange: response.headers.get('content-range')
+  });
+  
+  // Range starts at the end of the file: the part file may already be complete
+  if (response.status === 416 && startByte > 0) {
+    if (parseContentRangeTotal(response.headers.get('content-range')) === startByte) {
+      return startByte;
+    }
+    fs.unlinkSync(partFile);
+    const error = new Error('Partial file does not match the server copy, restarting');
+    error.transient = true;
+    throw error;
+  }
+  
+  if (!response.ok) {
+    throw httpError(response);
+  }
+  
+  // Playlists are handled by downloadHls instead
+  if (HLS_CONTENT_TYPE.test(response.headers.get('content-type') || '')) {
+    response.body.resume();
+    const error = new Error('URL points to an HLS playlist');
+    error.hlsPlaylist = true;
+    error.transient = false;
+    throw error;
+  }
+  
+  state.rangesSupported = response.status === 206 || response.headers.get('accept-ranges') === 'bytes';
+  
+  let totalSize;
+  if (response.status === 206) {
+    totalSize = parseContentRangeTotal(response.headers.get('content-range')) || (contentLength && startByte + contentLength);
+    context.debug('Resuming download', { startByte, totalSize });
+  } else {
+    // Full response - the server ignored the range, start over
+    startByte = 0;
+    totalSize = contentLength;
+  }
+  
+  const fileStream = createWriteStream(partFile, { flags: startByte > 0 ? 'a' : 'w' });
+  const body = throttle(response.body, context);
+  let downloadedBytes = startByte;
+  onProgress(downloadedBytes, totalSize);
+  
+  body.on('data', (chunk) => {
+    downloadedBytes += chunk.length;
+    onProgress(downloadedBytes, totalSize);
+  });
+  
+  await new Promise((resolve, reject) => {
+    body.pipe(fileStream);
+    response.body.on('error', (err) => {
+      context.debug('Download stream error', { error: err.message, downloadedBytes });
+      // Chunks still held back by the rate limit are fetched again on resume
+      body.unpipe(fileStream);
+      fileStream.end();
+      reject(err);
+    });
+    fileStream.on('error', reject);
+    fileStream.on('finish', resolve);
+  });
+  
+  if (totalSize && downloadedBytes !== totalSize) {
+    const error = new Error(`Incomplete download: ${downloadedBytes} of ${totalSize} bytes`);
+    error.transient = true;
+    throw error;
+  }
+  
+  return downloadedBytes;
+}
+
+// Limit on the transfer rate shared by all downloads of a client. Each chunk
+// gets the next free slot of chunk size / rate and is held back until it
+// starts, so the rate averages out over a few chunks. Idle time isn't saved up.
+class RateLimiter {
+  constructor(bytesPerSecond) {
+    if (!(bytesPerSecond > 0)) {
+      throw new Error(`Invalid rate limit "${bytesPerSecond}" (expected bytes per second > 0)`);
+    }
+    this.bytesPerSecond = bytesPerSecond;
+    this.nextSlot = 0;
+  }
+  
+  // Milliseconds a chunk of bytes has to wait
+  reserve(bytes) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot);
+    this.nextSlot = start + (bytes / this.bytesPerSecond) * 1000;
+    return start - now;
+  }
+  
+  // Transform stream passing chunks on at the rate
+  createStream() {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        const delay = this.reserve(chunk.length);
+        if (delay > 0) {
+          setTimeout(() => callback(null, chunk), delay);
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+  }
+}
+
+// A response body slowed down to the client's rate limit (if there is one)
+function throttle(body, context) {
+  return context.rateLimiter ? body.pipe(context.rateLimiter.createStream()) : body;
+}
+
+// Run task(), retrying transient errors with exponential backoff.
+// onRetry(error, attempt, delayMs) is called before each retry.
+async function withRetries(task, onRetry, context) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (attempt > DOWNLOAD_RETRIES || !isTransientError(error) || context.signal?.aborted) {
+        throw error;
+      }
+      
+      const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+      context.debug('Download attempt failed, retrying', { attempt, delay, error: error.message });
+      onRetry(error, attempt, delay);
+      await sleep(delay, context.signal);
+    }
+  }
+}
+
+// Wait for ms milliseconds; rejects early when the signal is aborted
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Fetch a URL into a file. Data is written to <filename>.part, resumed with
+// Range requests after connection problems, and renamed to filename once the
+// size matches. onProgress(downloadedBytes, totalSize) is called for every
+// chunk (totalSize is null if unknown).
+async function transferToFile(url, filename, onProgress, onRetry, context) {
+  const partFile = `${filename}.part`;
+  const state = { rangesSupported: null };
+  
+  const size = await withRetries(() => transferAttempt(url, partFile, state, onProgress, context), onRetry, context);
+  fs.renameSync(partFile, filename);
+  context.debug('Download completed', { filename, size });
+  return size;
+}
+
+// Content types servers use for HLS playlists
+const HLS_CONTENT_TYPE = /mpegurl/i;
+
+// Whether a URL points to an HLS playlist
+export function isHlsUrl(url) {
+  return /\.m3u8(\?|#|$)/i.test(url);
+}
+
+// Parse an HLS attribute list like BANDWIDTH=800000,CODECS="avc1,mp4a"
+function parseM3u8Attributes(text) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+// Parse an HLS playlist. Master playlists resolve to { type: 'master', variants },
+// media playlists to { type: 'media', segments, map, encryption }. URIs are
+// resolved against baseUrl.
+function parseM3u8(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw new Error('Not an HLS playlist (missing #EXTM3U header)');
+  }
+  
+  const variants = [];
+  const segments = [];
+  let streamInfo = null;
+  let segmentDuration = null;
+  let map = null;
+  let encryption = null;
+  
+  lines.slice(1).forEach(line => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      streamInfo = parseM3u8Attributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    } else if (line.startsWith('#EXTINF:')) {
+      segmentDuration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      map = new URL(parseM3u8Attributes(line.slice('#EXT-X-MAP:'.length)).URI, baseUrl).href;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const method = parseM3u8Attributes(line.slice('#EXT-X-KEY:'.length)).METHOD;
+      encryption = method && method !== 'NONE' ? method : null;
+    } else if (!line.startsWith('#')) {
+      const uri = new URL(line, baseUrl).href;
+      if (streamInfo) {
+        variants.push({
+          uri,
+          bandwidth: parseInt(streamInfo.BANDWIDTH, 10) || 0,
+          resolution: streamInfo.RESOLUTION || null
+        });
+        streamInfo = null;
+      } else {
+        segments.push({ uri, duration: segmentDuration });
+        segmentDuration = null;
+      }
+    }
+  });
+  
+  return variants.length > 0
+    ? { type: 'master', variants }
+    : { type: 'media', segments, map, encryption };
+}
+
+// Pick the master playlist variant for a quality: hd = highest bandwidth,
+// low = lowest, medium = in between
+function pickVariant(variants, quality = 'hd') {
+  const sorted = [...variants].sort((a, b) => b.bandwidth - a.bandwidth);
+  switch (quality.toLowerCase()) {
+    case 'low':
+      return sorted[sorted.length - 1];
+    case 'medium':
+      return sorted[Math.floor((sorted.length - 1) / 2)];
+    default:
+      return sorted[0];
+  }
+}
+
+// Fetch a text resource, retrying transient errors
+function fetchText(url, onRetry, context) {
+  return withRetries(async () => {
+    const response = await fetch(url, { signal: context.signal });
+    if (!response.ok) {
+      throw httpError(response);
+    }
+    return response.text();
+  }, onRetry, context);
+}
+
+// Fetch one HLS segment into a file (written under a temporary name first)
+async function fetchSegment(url, filename, context) {
+  const response = await fetch(url, { signal: context.signal });
+  if (!response.ok) {
+    throw httpError(response);
+  }
+  
+  const tempFile = `${filename}.tmp`;
+  const fileStream = createWriteStream(tempFile);
+  const body = throttle(response.body, context);
+  await new Promise((resolve, reject) => {
+    body.pipe(fileStream);
+    response.body.on('error', (err) => {
+      body.unpipe(fileStream);
+      fileStream.end();
+      reject(err);
+    });
+    fileStream.on('error', reject);
+    fileStream.on('finish', resolve);
+  });
+  
+  const expectedSize = parseInt(response.headers.get('content-length'), 10);
+  const size = fs.statSync(tempFile).size;
+  if (expectedSize && size !== expectedSize) {
+    const error = new Error(`Incomplete segment: ${size} of ${expectedSize} bytes`);
+    error.transient = true;
+    throw error;
+  }
+  
+  fs.renameSync(tempFile, filename);
+  return size;
+}
+
+// Download an HLS stream: pick a variant from the master playlist, fetch the
+// segments in parallel into <output>.segments/ and join them into one file.
+// MPEG-TS streams are saved with a .ts extension instead of .mp4. Finished
+// segments are kept until the join, so a rerun only fetches missing ones.
+// onProgress(downloadedBytes, null, { segmentsDone, segmentCount }).
+// Resolves to { filename, bytes }.
+async function downloadHls(url, filename, onProgress, onRetry, context) {
+  let playlistUrl = url;
+  let playlist = parseM3u8(await fetchText(playlistUrl, onRetry, context), playlistUrl);
+  
+  if (playlist.type === 'master') {
+    const variant = pickVariant(playlist.variants, context.quality);
+    context.debug('Selected HLS variant', { variant, available: playlist.variants });
+    playlistUrl = variant.uri;
+    playlist = parseM3u8(await fetchText(playlistUrl, onRetry, context), playlistUrl);
+  }
+  
+  if (playlist.type !== 'media' || playlist.segments.length === 0) {
+    throw new Error('HLS playlist contains no segments');
+  }
+  
+  if (playlist.encryption) {
+    throw new Error(`Encrypted HLS streams (${playlist.encryption}) are not supported`);
+  }
+  
+  // fMP4 streams start with an init segment and can stay .mp4
+  const outputFile = playlist.map ? filename : filename.replace(/\.mp4$/i, '.ts');
+  const segmentDir = `${outputFile}.segments`;
+  const parts = playlist.map ? [{ uri: playlist.map }, ...playlist.segments] : playlist.segments;
+  
+  fs.mkdirSync(segmentDir, { recursive: true });
+  context.debug('Downloading HLS segments', { playlistUrl, segmentCount: parts.length, segmentDir });
+  
+  const segmentFiles = parts.map((part, index) => path.join(segmentDir, `${index.toString().padStart(6, '0')}.seg`));
+  let segmentsDone = 0;
+  let downloadedBytes = 0;
+  let nextIndex = 0;
+  
+  const report = () => onProgress(downloadedBytes, null, { segmentsDone, segmentCount: parts.length });
+  report();
+  
+  // The first segment that fails for good stops the other workers too
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(context.signal.reason);
+  context.signal?.addEventListener('abort', onAbort, { once: true });
+  if (context.signal?.aborted) controller.abort(context.signal.reason);
+  const segmentContext = { ...context, signal: controller.signal };
+  let failure = null;
+  
+  const worker = async () => {
+    while (nextIndex < parts.length && !controller.signal.aborted) {
+      const index = nextIndex++;
+      const segmentFile = segmentFiles[index];
+      
+      try {
+        const size = fs.existsSync(segmentFile)
+          ? fs.statSync(segmentFile).size
+          : await withRetries(() => fetchSegment(parts[index].uri, segmentFile, segmentContext), onRetry, segmentContext);
+        
+        segmentsDone++;
+        downloadedBytes += size;
+        report();
+      } catch (error) {
+        failure = failure || error;
+        controller.abort(error);
+      }
+    }
+  };
+  
+  // Wait for every worker to stop before reporting the failure
+  try {
+    await Promise.all(Array.from({ length: Math.min(HLS_SEGMENT_JOBS, parts.length) }, worker));
+  } finally {
+    context.signal?.removeEventListener('abort', onAbort);
+  }
+  if (failure) throw failure;
+  context.signal?.throwIfAborted();
+  
+  // Join the segments in playlist order
+  const partFile = `${outputFile}.part`;
+  const output = createWriteStream(partFile);
+  for (const segmentFile of segmentFiles) {
+    await pipeline(fs.createReadStream(segmentFile), output, { end: false });
+  }
+  await new Promise((resolve, reject) => {
+    output.on('error', reject);
+    output.end(resolve);
+  });
+  
+  fs.renameSync(partFile, outputFile);
+  fs.rmSync(segmentDir, { recursive: true, force: true });
+  context.debug('HLS download completed', { filename: outputFile, size: downloadedBytes });
+  
+  return { filename: outputFile, bytes: downloadedBytes };
+}
+
+// Download a video URL, either progressive or HLS. Servers that answer a
+// progressive URL with a playlist are detected by content type.
+// Resolves to { filename, bytes } - filename changes for MPEG-TS streams.
+async function downloadMedia(url, filename, onProgress, onRetry, context) {
+  if (!isHlsUrl(url)) {
+    try {
+      const bytes = await transferToFile(url, filename, onProgress, onRetry, context);
+      return { filename, bytes };
+    } catch (error) {
+      if (!error.hlsPlaylist) throw error;
+      context.debug('Response is an HLS playlist', { url });
+    }
+  }
+  
+  return downloadHls(url, filename, onProgress, onRetry, context);
+}
+
+// Decode the XML entities used in TTML subtitles
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Parse a TTML time expression into seconds: clock time (00:00:01.500 or
+// 00:00:01:12 with frames) or offset time (1.5s, 1500ms, 2m, 36f, 1000t)
+function parseTtmlTime(value, frameRate, tickRate) {
+  const clock = /^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+(?:\.\d+)?))?$/.exec(value);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames] = clock;
+    let time = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    if (fraction) time += Number(`0.${fraction}`);
+    if (frames) time += Number(frames) / frameRate;
+    return time;
+  }
+  
+  const offset = /^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/.exec(value);
+  if (offset) {
+    const amount = Number(offset[1]);
+    switch (offset[2]) {
+      case 'h': return amount * 3600;
+      case 'm': return amount * 60;
+      case 's': return amount;
+      case 'ms': return amount / 1000;
+      case 'f': return amount / frameRate;
+      case 't': return amount / tickRate;
+    }
+  }
+  
+  throw new Error(`Unsupported TTML time expression: ${value}`);
+}
+
+// Parse TTML / EBU-TT-D subtitles into cues [{ start, end, text }] (seconds)
+function parseTtml(xml) {
+  const rootAttributes = (/<tt\b([^>]*)>/.exec(xml) || [])[1] || '';
+  const attribute = (attributes, name) => {
+    const match = new RegExp(`(?:^|\\s)(?:[\\w-]+:)?${name}\\s*=\\s*"([^"]*)"`).exec(attributes);
+    return match ? match[1] : null;
+  };
+  const frameRate = Number(attribute(rootAttributes, 'frameRate')) || 25;
+  const tickRate = Number(attribute(rootAttributes, 'tickRate')) || 1;
+  
+  const cues = [];
+  const paragraph = /<(?:[\w-]+:)?p\b([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?p>/g;
+  let match;
+  
+  while ((match = paragraph.exec(xml)) !== null) {
+    const begin = attribute(match[1], 'begin');
+    const end = attribute(match[1], 'end');
+    if (!begin || !end) continue;
+    
+    const text = decodeXmlEntities(
+      match[2]
+        .replace(/<(?:[\w-]+:)?br\s*\/?>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+    )
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+    
+    if (text) {
+      cues.push({
+        start: parseTtmlTime(begin, frameRate, tickRate),
+        end: parseTtmlTime(end, frameRate, tickRate),
+        text
+      });
+    }
+  }
+  
+  // Some broadcasters use a 10:00:00 tape timecode as the programme start
+  if (cues.length > 0 && cues.every(cue => cue.start >= 36000)) {
+    cues.forEach(cue => {
+      cue.start -= 36000;
+      cue.end -= 36000;
+    });
+  }
+  
+  return cues;
+}
+
+// Parse a WebVTT / SRT timestamp (hours optional, . or , before milliseconds)
+function parseCueTime(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`Invalid subtitle timestamp: ${value}`);
+  }
+  const [, hours = 0, minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+// Parse WebVTT subtitles into cues [{ start, end, text }] (seconds)
+function parseWebVtt(text) {
+  const cues = [];
+  
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    // Header, NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex === -1) return;
+    
+    const [start, rest] = lines[timingIndex].split('-->');
+    const cueText = lines.slice(timingIndex + 1)
+      .map(line => decodeXmlEntities(line.replace(/<[^>]+>/g, '')).trim())
+      .filter(Boolean)
+      .join('\n');
+    
+    if (cueText) {
+      cues.push({
+        start: parseCueTime(start),
+        end: parseCueTime(rest.trim().split(/\s+/)[0]),
+        text: cueText
+      });
+    }
+  });
+  
+  return cues;
+}
+
+// Format seconds as an SRT timestamp (HH:MM:SS,mmm)
+function formatSrtTime(seconds) {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const pad = (n, width = 2) => n.toString().padStart(width, '0');
+  return `${pad(Math.floor(totalMillis / 3600000))}:${pad(Math.floor(totalMillis / 60000) % 60)}:${pad(Math.floor(totalMillis / 1000) % 60)},${pad(totalMillis % 1000, 3)}`;
+}
+
+// Convert TTML, EBU-TT-D or WebVTT subtitles to SRT (SRT is passed through)
+export function convertToSrt(text) {
+  const content = text.replace(/^﻿/, '');
+  let cues;
+  
+  if (/^\s*WEBVTT/.test(content)) {
+    cues = parseWebVtt(content);
+  } else if (/<tt[\s>]|<tt:tt[\s>]/.test(content)) {
+    cues = parseTtml(content);
+  } else if (/^\s*\d+\s*\r?\n\s*\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(content)) {
+    return content;
+  } else {
+    throw new Error('Unknown subtitle format');
+  }
+  
+  return cues
+    .sort((a, b) => a.start - b.start)
+    .map((cue, index) => `${index + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`)
+    .join('\n');
+}
+
+// Cache file for a key: one JSON file per entry in a directory per type
+function getCacheFile(cacheDir, type, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(cacheDir, type, `${hash}.json`);
+}
+
+// Cached entry for a key as { value, age } (age in seconds since it was
+// stored, taken from the file's modification time), or null
+function readCacheEntry(cacheDir, type, key) {
+  try {
+    const file = getCacheFile(cacheDir, type, key);
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    // Guards against hash collisions and files from other versions
+    if (entry.key !== key) return null;
+    return { value: entry.value, age: (Date.now() - fs.statSync(file).mtimeMs) / 1000 };
+  } catch {
+    return null;
+  }
+}
+
+// Store a value, replacing the file atomically so concurrent runs never read half a file
+function writeCacheEntry(cacheDir, type, key, value) {
+  const file = getCacheFile(cacheDir, type, key);
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tempFile, JSON.stringify({ key, value }), 'utf8');
+  fs.renameSync(tempFile, file);
+}
+
+// Cache files per type as [{ type, file, storedAt, bytes }]
+function listCacheFiles(cacheDir) {
+  return Object.keys(CACHE_TTLS).flatMap(type => {
+    const dir = path.join(cacheDir, type);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => name.endsWith('.json')).map(name => {
+      const file = path.join(dir, name);
+      const stats = fs.statSync(file);
+      return { type, file, storedAt: stats.mtimeMs, bytes: stats.size };
+    });
+  });
+}
+
+// Delete cached responses: all of them, or only the expired ones. ttls
+// overrides CACHE_TTLS per type. Returns the number of deleted entries.
+export function clearCache(cacheDir = getCacheDir(), { expiredOnly = false, ttls = {} } = {}) {
+  const maxAges = { ...CACHE_TTLS, ...ttls };
+  const files = listCacheFiles(cacheDir)
+    .filter(entry => !expiredOnly || Date.now() - entry.storedAt > maxAges[entry.type] * 1000);
+  files.forEach(entry => fs.rmSync(entry.file, { force: true }));
+  return files.length;
+}
+
+// Entry count, size, expired entries and age range per cache type
+export function getCacheStats(cacheDir = getCacheDir(), { ttls = {} } = {}) {
+  const maxAges = { ...CACHE_TTLS, ...ttls };
+  const files = listCacheFiles(cacheDir);
+  
+  return Object.keys(CACHE_TTLS).map(type => {
+    const entries = files.filter(entry => entry.type === type);
+    const times = entries.map(entry => entry.storedAt);
+    return {
+      type,
+      ttl: maxAges[type],
+      entries: entries.length,
+      expired: entries.filter(entry => Date.now() - entry.storedAt > maxAges[type] * 1000).length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      oldest: times.length ? new Date(Math.min(...times)).toISOString() : null,
+      newest: times.length ? new Date(Math.max(...times)).toISOString() : null
+    };
+  });
+}
+
+// Turn an error reported by the server (string, list of strings or Error) into an Error
+function serverError(err) {
+  if (err instanceof Error) return err;
+  return new Error(Array.isArray(err) ? err.join(', ') : String(err));
+}
+
+// Client for a MediathekViewWeb server, or for the local film list index with
+// offline: true. Methods return promises; the connection is opened on first use.
+//
+// Events:
+//   'transport' (name, reason)  connection method chosen: 'socket', 'rest' or 'offline'
+//   'reconnect', 'disconnect'   socket.io connection state
+//   'connectionLost' (error)    socket.io gave up reconnecting (transport 'socket' only)
+//   'progress' ({ entry, path, downloadedBytes, totalSize, segments })
+//   'retry' ({ entry, path, error, attempt, delay })
+//   'importProgress' (entries)
+//   'staleCache' ({ type, age, error })  server unreachable, an expired cache entry is used
+//   'debug' (message, data)
+export class MediathekClient extends EventEmitter {
+  // options: server, transport ('auto', 'socket' or 'rest'), offline, dataDir,
+  // cache (false disables the response cache), refresh (ignore cached
+  // responses but store new ones), cacheDir, cacheTtls (seconds per type),
+  // rateLimit (bytes per second for all downloads together)
+  constructor({
+    server = DEFAULT_SERVER,
+    transport = 'auto',
+    offline = false,
+    dataDir = getDataDir(),
+    cache = true,
+    refresh = false,
+    cacheDir = getCacheDir(),
+    cacheTtls = {},
+    rateLimit = null
+  } = {}) {
+    super();
+    
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unknown transport "${transport}" (expected ${TRANSPORTS.join(', ')})`);
+    }
+    
+    this.server = server;
+    this.preferredTransport = transport;
+    this.offline = offline;
+    this.indexFile = path.join(dataDir, 'index.ndjson');
+    this.indexInfoFile = path.join(dataDir, 'index-info.json');
+    this.transport = null;
+    this.socket = null;
+    this.connection = null;
+    this.channels = null;
+    this.indexInfo = null;
+    // The local index needs no cache
+    this.cache = cache && !offline;
+    this.refresh = refresh;
+    this.cacheDir = cacheDir;
+    this.cacheTtls = { ...CACHE_TTLS, ...cacheTtls };
+    this.context = {
+      debug: (message, data) => this.emit('debug', message, data),
+      rateLimiter: rateLimit ? new RateLimiter(rateLimit) : null
+    };
+  }
+  
+  // Cached response of a type, or null if there is none or it expired.
+  // stale: accept expired entries (fallback when the server is unreachable).
+  readCache(type, key, { stale = false } = {}) {
+    if (!this.cache || (this.refresh && !stale)) return null;
+    
+    const entry = readCacheEntry(this.cacheDir, type, `${this.server} ${key}`);
+    if (!entry || (!stale && entry.age > this.cacheTtls[type])) return null;
+    this.context.debug('Cache hit', { type, key, age: Math.round(entry.age) });
+    return entry;
+  }
+  
+  // Store a response; a cache that can't be written only costs speed
+  writeCache(type, key, value) {
+    if (!this.cache) return;
+    
+    try {
+      writeCacheEntry(this.cacheDir, type, `${this.server} ${key}`, value);
+    } catch (error) {
+      this.context.debug('Could not write cache', { type, error: error.message });
+    }
+  }
+  
+  // Choose the connection method, resolves to its name. With transport 'auto',
+  // REST is used when socket.io can't connect (e.g. websockets blocked by a proxy).
+  connect() {
+    if (!this.connection) {
+      this.connection = this.openConnection();
+      // A failed attempt can be repeated by calling connect() again
+      this.connection.catch(() => {
+        this.connection = null;
+      });
+    }
+    return this.connection;
+  }
+  
+  async openConnection() {
+    if (this.offline) {
+      this.getIndexInfo();
+      return this.useTransport('offline', 'offline mode');
+    }
+    
+    if (this.preferredTransport === 'rest') {
+      return this.useTransport('rest', 'transport rest');
+    }
+    
+    try {
+      await this.connectSocket();
+      return this.useTransport('socket', 'connected');
+    } catch (error) {
+      if (this.preferredTransport !== 'auto') throw error;
+      return this.useTransport('rest', error.message);
+    }
+  }
+  
+  useTransport(name, reason) {
+    this.transport = name;
+    this.context.debug(`Transport: ${name}`, { server: this.server, reason });
+    this.emit('transport', name, reason);
+    return name;
+  }
+  
+  // Resolves once the socket is connected. With transport 'auto' the first
+  // failure rejects; otherwise socket.io's reconnection attempts run first.
+  connectSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = io(this.server, {
+        reconnection: true,
+        reconnectionDelay: 1000,
+        reconnectionAttempts: 5,
+        timeout: SOCKET_CONNECT_TIMEOUT_MS
+      });
+      this.socket = socket;
+      let connected = false;
+      
+      socket.on('connect', () => {
+        this.context.debug('Socket connected', { server: this.server, socketId: socket.id });
+        if (connected) {
+          this.emit('reconnect');
+        } else {
+          connected = true;
+          resolve();
+        }
+      });
+      
+      socket.on('connect_error', (error) => {
+        this.context.debug('Socket connection error', { message: error.message });
+        if (!connected && this.preferredTransport === 'auto') {
+          socket.disconnect();
+          reject(error);
+        }
+      });
+      
+      socket.on('disconnect', (reason) => {
+        this.context.debug('Socket disconnected', { reason });
+        this.emit('disconnect', reason);
+      });
+      
+      // All reconnection attempts failed
+      socket.io.on('reconnect_failed', () => {
+        const error = new Error(`Could not connect to server: ${this.server}`);
+        if (!connected) {
+          reject(error);
+        } else if (this.preferredTransport === 'auto') {
+          this.useTransport('rest', 'socket.io reconnection failed');
+        } else {
+          this.connection = null;
+          this.emit('connectionLost', error);
+        }
+      });
+    });
+  }
+  
+  // Close the socket.io connection, if any
+  close() {
+    if (this.socket) {
+      this.socket.disconnect();
+    }
+  }
+  
+  // Send a raw queryEntries payload (see buildSearchQuery), resolves to the
+  // server's result: { results, queryInfo }. cache: false bypasses the disk
+  // cache, e.g. for the throwaway queries of search-as-you-type.
+  async queryEntries(searchQuery, { cache = true } = {}) {
+    const cacheKey = JSON.stringify(searchQuery);
+    const cached = cache ? this.readCache('queries', cacheKey) : null;
+    if (cached) return cached.value;
+    
+    await this.connect();
+    
+    if (this.transport === 'offline') {
+      return queryLocalIndex(this.indexFile, searchQuery, this.context);
+    }
+    
+    const result = this.transport === 'rest'
+      ? await this.queryEntriesRest(searchQuery)
+      : await new Promise((resolve, reject) => {
+        this.socket.emit('queryEntries', searchQuery, (response) => {
+          if (response.err) {
+            reject(serverError(response.err));
+            return;
+          }
+          resolve(response.result);
+        });
+      });
+    if (cache) {
+      this.writeCache('queries', cacheKey, result);
+    }
+    return result;
+  }
+  
+  // queryEntries over plain HTTP - same payload and result as the socket event
+  async queryEntriesRest(searchQuery) {
+    this.context.debug('Making API request to /api/query', searchQuery);
+    const response = await fetch(`${this.server}/api/query`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain'
+      },
+      body: JSON.stringify(searchQuery)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    if (data.err) {
+      throw serverError(data.err);
+    }
+    return data.result;
+  }
+  
+  // Search with the query syntax of parseQuery. filters: channel, exclude
+  // (array or comma-separated channel patterns, see matchesChannelPattern),
+  // limit, offset, minDuration and maxDuration (seconds), since and until
+  // (Dates, until is exclusive), sort (a key of SORT_ORDERS) and dedupe (true,
+  // or preferred channel patterns). Resolves to { results, queryInfo,
+  // excludedCount, duplicateCount } - queryInfo.resultCount counts the
+  // entries the server returned, before client-side filtering.
+  async search(query, { channel = null, exclude = null, limit = null, offset = 0, dedupe = false, sort = null, ...filters } = {}) {
+    // Syntax errors are thrown before anything is sent
+    const parsed = applySearchFilters(parseQuery(query), { ...filters, sort });
+    const searchQuery = buildSearchQuery(parsed, channel, limit, offset);
+    this.context.debug('Prepared search query', searchQuery);
+    
+    const excludedChannels = Array.isArray(exclude) ? exclude : parseChannelList(exclude);
+    const result = await this.queryEntries(searchQuery);
+    
+    // Channel exclusions, negated terms and date bounds are applied here
+    const channelResults = result.results.filter(item => !excludedChannels.some(pattern => matchesChannelPattern(item.channel, pattern)));
+    let results = channelResults.filter(item => matchesQueryFilters(item, parsed));
+    
+    const filteredCount = results.length;
+    if (dedupe) {
+      results = dedupeResults(results, Array.isArray(dedupe) ? dedupe : []);
+    }
+    if (sort) {
+      results = sortResults(results, sort);
+    }
+    this.context.debug('Search results received', { count: results.length, queryInfo: result.queryInfo });
+    
+    return {
+      results,
+      queryInfo: result.queryInfo,
+      excludedCount: result.results.length - channelResults.length,
+      duplicateCount: filteredCount - results.length
+    };
+  }
+  
+  // Entries whose url_website is the given broadcaster page. The server can't
+  // search that field, so the page title (or the words of the URL) is searched
+  // and the results are compared with the URL. Resolves to [] if none match.
+  async findByWebsite(link) {
+    const wanted = normalizeWebsiteUrl(link);
+    if (!wanted) {
+      throw new Error(`Invalid URL: ${link}`);
+    }
+    await this.connect();
+
+    if (this.transport === 'offline') {
+      const fragment = new URL(link).pathname.split('/').filter(Boolean).pop() || new URL(link).host;
+      const found = [];
+      await scanLocalIndex(this.indexFile, line => line.includes(fragment), (entry) => {
+        if (normalizeWebsiteUrl(entry.url_website) === wanted) found.push(entry);
+      });
+      return found;
+    }
+
+    const terms = (await getWebsiteSearchTerms(link, this.context)).slice(0, WEBSITE_SEARCH_ATTEMPTS);
+    this.context.debug('Searching for website', { link, terms });
+    for (const text of terms) {
+      const { results } = await this.search(quoteQueryValue(text), { limit: WEBSITE_SEARCH_LIMIT });
+      const found = results.filter(entry => normalizeWebsiteUrl(entry.url_website) === wanted);
+      if (found.length > 0) return found;
+    }
+    return [];
+  }
+
+  // Fetch entries by ID; unknown IDs are left out
+  async getEntries(ids) {
+    await this.connect();
+    
+    if (this.transport === 'offline') {
+      return findLocalEntries(this.indexFile, ids);
+    }
+    
+    this.context.debug('Making API request to /api/entries', { ids });
+    const response = await fetch(`${this.server}/api/entries`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain'
+      },
+      body: JSON.stringify(ids)
+    });
+    
+    const data = await response.json();
+    this.context.debug('API response received', {
+      status: response.status,
+      hasError: !!data.err,
+      resultCount: data.result?.results?.length
+    });
+    
+    if (data.err) {
+      throw serverError(data.err);
+    }
+    return data.result?.results || [];
+  }
+  
+  // Full description of an entry
+  async getDescription(id) {
+    const cached = this.readCache('descriptions', id);
+    if (cached) return cached.value;
+    
+    await this.connect();
+    
+    let description;
+    // The entries from /api/entries and the local index include the description
+    if (this.transport !== 'socket') {
+      const [entry] = await this.getEntries([id]);
+      if (!entry) throw new Error('document not found');
+      description = entry.description;
+    } else {
+      description = await new Promise((resolve, reject) => {
+        this.socket.emit('getDescription', id, (response) => {
+          if (response.startsWith('error:') || response === 'document not found') {
+            reject(new Error(response));
+            return;
+          }
+          resolve(response);
+        });
+      });
+    }
+    
+    this.writeCache('descriptions', id, description);
+    return description;
+  }
+  
+  // Channel names, fetched once per client and cached on disk. If the server
+  // can't be reached, an expired cached list is used.
+  async listChannels() {
+    if (!this.channels) {
+      const cached = this.readCache('channels', 'channels');
+      if (cached) {
+        this.channels = cached.value;
+      } else {
+        try {
+          this.channels = await this.fetchChannels();
+        } catch (error) {
+          const stale = this.readCache('channels', 'channels', { stale: true });
+          if (!stale) throw error;
+          this.context.debug('Using stale channel list', { age: Math.round(stale.age), error: error.message });
+          this.emit('staleCache', { type: 'channels', age: stale.age, error });
+          this.channels = stale.value;
+        }
+      }
+      this.context.debug('Channels loaded', { count: this.channels.length });
+    }
+    return this.channels;
+  }
+  
+  // Channel names from the server (or the local index), bypassing the cache
+  async fetchChannels() {
+    await this.connect();
+    
+    if (this.transport === 'offline') {
+      return this.getIndexInfo().channels;
+    }
+    
+    const response = await fetch(`${this.server}/api/channels`);
+    const data = await response.json();
+    if (data.error) {
+      throw serverError(data.error);
+    }
+    const channels = data.channels || [];
+    this.writeCache('channels', 'channels', channels);
+    return channels;
+  }
+  
+  // Download an entry to path. quality is 'hd', 'medium' or 'low'; the best
+  // available quality is used if the entry lacks it. Transfers resume from
+  // <path>.part and retry transient errors; HLS streams are fetched segment by
+  // segment (MPEG-TS streams get a .ts extension). signal (AbortSignal) cancels,
+  // leaving the partial file for a later resume. Resolves to { filename, bytes }.
+  async download(entry, { quality = 'hd', path: filename, signal } = {}) {
+    if (!QUALITY_FIELDS[quality]) {
+      throw new Error(`Unknown quality "${quality}" (expected ${Object.keys(QUALITY_FIELDS).join(', ')})`);
+    }
+    if (!filename) {
+      throw new Error('No target path given for the download');
+    }
+    
+    const url = entry[QUALITY_FIELDS[quality]] || Object.values(QUALITY_FIELDS).map(field => entry[field]).find(Boolean);
+    if (!url) {
+      throw new Error('No video URL available');
+    }
+    
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    this.context.debug('Starting download', { id: entry.id, url, filename, quality });
+    
+    return downloadMedia(
+      url,
+      path.resolve(filename),
+      (downloadedBytes, totalSize, segments = null) => this.emit('progress', { entry, path: filename, downloadedBytes, totalSize, segments }),
+      (error, attempt, delay) => this.emit('retry', { entry, path: filename, error, attempt, delay }),
+      { ...this.context, signal, quality }
+    );
+  }
+  
+  // Check the video URLs of an entry in parallel. Resolves to
+  // [{ quality, url, available, size, status, error }] for the qualities the
+  // entry lists, best first (see probeUrl).
+  async probeQualities(entry, { signal } = {}) {
+    const qualities = Object.entries(QUALITY_FIELDS).filter(([, field]) => entry[field]);
+    return Promise.all(qualities.map(async ([quality, field]) => ({
+      quality,
+      url: entry[field],
+      ...await probeUrl(entry[field], { ...this.context, signal })
+    })));
+  }
+  
+  // Subtitles of an entry converted to SRT text
+  async getSubtitles(entry, { signal } = {}) {
+    if (!entry.url_subtitle) {
+      throw new Error('No subtitles available');
+    }
+    
+    this.context.debug('Downloading subtitles', { url: entry.url_subtitle });
+    const text = await fetchText(entry.url_subtitle, () => {}, { ...this.context, signal });
+    return convertToSrt(text);
+  }
+  
+  // Information about the imported film list: { source, importedAt, listCreated, entries, channels }
+  getIndexInfo() {
+    if (!this.indexInfo) {
+      if (!fs.existsSync(this.indexFile) || !fs.existsSync(this.indexInfoFile)) {
+        throw new Error('No local index found. Import a film list first: mediathekview index import <file>');
+      }
+      this.indexInfo = JSON.parse(fs.readFileSync(this.indexInfoFile, 'utf8'));
+    }
+    return this.indexInfo;
+  }
+  
+  // Import a MediathekView Filmliste file (JSON, optionally gzip or xz
+  // compressed) as the local index. Resolves to the index info.
+  async importFilmliste(file) {
+    const indexInfo = await importFilmlisteFile(path.resolve(file), this.indexFile, entries => this.emit('importProgress', entries), this.context);
+    fs.writeFileSync(this.indexInfoFile, JSON.stringify(indexInfo, null, 2), 'utf8');
+    this.indexInfo = indexInfo;
+    this.channels = null;
+    return indexInfo;
+  }
+}
@@ -0,0 +1,493 @@
+// Config file of the CLI: location, schema and line-preserving edits.
+// Values are checked against the schema on load, so a typo like `limit = abc`
+// is reported with its line number instead of reaching the option parser.
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { safe, unsafe } from 'ini';
+import { QUALITY_FIELDS, TRANSPORTS, SORT_ORDERS, parseDuration } from './client.js';
+
+// Config file used before the XDG location; still read if it exists
+export const LEGACY_CONFIG_FILE = path.join(os.homedir(), '.mediathekviewrc');
+
+// What to do when a download target already exists
+export const COLLISION_POLICIES = ['number', 'skip', 'overwrite'];
+
+// Per-user config file, following platform conventions. An existing
+// ~/.mediathekviewrc is used as long as there is no file at the new location.
+export function getConfigFile() {
+  let configDir;
+  if (process.env.XDG_CONFIG_HOME) {
+    configDir = path.join(process.env.XDG_CONFIG_HOME, 'mediathekview');
+  } else if (process.platform === 'darwin') {
+    configDir = path.join(os.homedir(), 'Library', 'Application Support', 'mediathekview');
+  } else if (process.platform === 'win32') {
+    configDir = path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'mediathekview');
+  } else {
+    configDir = path.join(os.homedir(), '.config', 'mediathekview');
+  }
+
+  const configFile = path.join(configDir, 'config.ini');
+  if (!fs.existsSync(configFile) && fs.existsSync(LEGACY_CONFIG_FILE)) {
+    return LEGACY_CONFIG_FILE;
+  }
+  return configFile;
+}
+
+// Expand tilde in file paths (e.g., ~/Downloads -> /home/user/Downloads)
+export function expandTildePath(pathWithTilde) {
+  if (typeof pathWithTilde !== 'string') return pathWithTilde;
+
+  // Replace leading ~/ or ~ with home directory
+  if (pathWithTilde.startsWith('~/') || pathWithTilde === '~') {
+    return pathWithTilde.replace(/^~(?=$|\/|\\)/, os.homedir());
+  }
+
+  return pathWithTilde;
+}
+
+// Parse a quality preference into quality keys, best choice first. A single
+// quality falls back to the others (best first) if a video lacks it; a
+// comma-separated list like "hd,medium" is used as is.
+export function parseQualityPreference(value) {
+  const qualities = Object.keys(QUALITY_FIELDS);
+  const keys = String(value).split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+  const unknown = keys.find(key => !qualities.includes(key));
+  if (keys.length === 0 || unknown !== undefined) {
+    throw new Error(`Unknown quality "${unknown ?? value}" (expected hd, medium or low, or a list like "hd,medium")`);
+  }
+
+  if (keys.length === 1) {
+    return [keys[0], ...qualities.filter(key => key !== keys[0])];
+  }
+  return [...new Set(keys)];
+}
+
+// Parse a size like 1.5G, 800M or 700MB into bytes (1K = 1024)
+export function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?)i?B?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size "${value}" (expected e.g. 1.5G, 800M or 700MB)`);
+  }
+  const exponent = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase());
+  return Math.round(parseFloat(match[1]) * 1024 ** exponent);
+}
+
+// Parse a start position into seconds: seconds, mm:ss or hh:mm:ss
+export function parseStartPosition(value) {
+  const text = String(value).trim();
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(text)) {
+    throw new Error(`Invalid start position "${value}" (expected seconds, mm:ss or hh:mm:ss)`);
+  }
+  return text.split(':').reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+// Parse a daily time window like 22:00-06:00 into minutes after midnight:
+// { start, end, text }. A window ending before its start runs over midnight.
+export function parseDownloadWindow(value) {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  const [startHours, startMinutes, endHours, endMinutes] = match ? match.slice(1).map(Number) : [];
+  if (!match || startHours > 23 || endHours > 23 || startMinutes > 59 || endMinutes > 59) {
+    throw new Error(`Invalid download window "${value}" (expected HH:MM-HH:MM, e.g. 22:00-06:00)`);
+  }
+
+  const start = startHours * 60 + startMinutes;
+  const end = endHours * 60 + endMinutes;
+  if (start === end) {
+    throw new Error(`Download window "${value}" starts and ends at the same time`);
+  }
+  const pad = n => n.toString().padStart(2, '0');
+  return { start, end, text: `${pad(startHours)}:${pad(startMinutes)}-${pad(endHours)}:${pad(endMinutes)}` };
+}
+
+// Whether a download window is open at a time (local time), and when that
+// changes next: { open, changesAt }
+export function getDownloadWindowState(window, date = new Date()) {
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const open = window.start < window.end
+    ? minute >= window.start && minute < window.end
+    : minute >= window.start || minute < window.end;
+
+  const next = open ? window.end : window.start;
+  const changesAt = new Date(date);
+  changesAt.setHours(Math.floor(next / 60), next % 60, 0, 0);
+  if (changesAt <= date) {
+    changesAt.setDate(changesAt.getDate() + 1);
+  }
+  return { open, changesAt };
+}
+
+// Value types of the schema: each converts a value read from the file or throws
+const text = value => String(value);
+const filePath = value => expandTildePath(String(value));
+
+function integer(min) {
+  return (value) => {
+    const number = Number(value);
+    if (value === '' || typeof value === 'boolean' || !Number.isInteger(number) || number < min) {
+      throw new Error(`Expected an integer >= ${min}, got "${value}"`);
+    }
+    return number;
+  };
+}
+
+function minutes(value) {
+  const number = Number(value);
+  if (value === '' || typeof value === 'boolean' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`Expected a number of minutes, got "${value}"`);
+  }
+  return number;
+}
+
+function boolean(value) {
+  if (typeof value === 'boolean') return value;
+  const word = String(value).toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(word)) return true;
+  if (['false', 'no', 'off', '0'].includes(word)) return false;
+  throw new Error(`Expected true or false, got "${value}"`);
+}
+
+function choice(choices) {
+  return (value) => {
+    if (!choices.includes(value)) {
+      throw new Error(`Expected one of ${choices.join(', ')}, got "${value}"`);
+    }
+    return value;
+  };
+}
+
+function url(value) {
+  if (!/^https?:\/\/\S+$/.test(String(value))) {
+    throw new Error(`Expected an http:// or https:// URL, got "${value}"`);
+  }
+  return String(value);
+}
+
+// true/false, or a list of preferred channels (for dedupe)
+function booleanOrText(value) {
+  try {
+    return boolean(value);
+  } catch {
+    return String(value);
+  }
+}
+
+// Checked like on the command line, but kept as written (options are parsed later)
+function checked(parser) {
+  return (value) => {
+    parser(value);
+    return String(value);
+  };
+}
+
+// A setting that may be given several times, its values collected in file order
+function list(parser) {
+  const parseItem = value => parser(value);
+  parseItem.list = true;
+  return parseItem;
+}
+
+// Hook action: a shell command, an http(s) URL for a webhook or move:<directory>
+function hookAction(value) {
+  const action = typeof value === 'boolean' ? '' : String(value).trim();
+  if (action === '' || action === 'move:') {
+    throw new Error('Expected a shell command, an http(s) URL or move:<directory>');
+  }
+  return action.startsWith('move:') ? `move:${expandTildePath(action.slice('move:'.length).trim())}` : action;
+}
+
+// Top-level settings; a [profile.<name>] section may override any of them
+const SETTINGS = {
+  server: url,
+  channel: text,
+  exclude: text,
+  min_duration: parseDuration,
+  max_duration: parseDuration,
+  sort: choice(Object.keys(SORT_ORDERS)),
+  dedupe: booleanOrText,
+  limit: integer(1),
+  quality: checked(parseQualityPreference),
+  max_size: checked(parseSize),
+  jobs: integer(1),
+  limit_rate: checked(parseSize),
+  download_window: checked(parseDownloadWindow),
+  subtitles: boolean,
+  nfo: boolean,
+  filename_template: text,
+  on_exists: choice(COLLISION_POLICIES),
+  transport: choice(TRANSPORTS),
+  output: filePath,
+  output_dir: filePath,
+  cache_ttl_channels: minutes,
+  cache_ttl_queries: minutes,
+  cache_ttl_descriptions: minutes
+};
+
+// Sections: named ones are written as [<section>.<name>]
+const SECTIONS = {
+  player: {
+    named: false,
+    settings: {
+      command: filePath,
+      args: text,
+      playlist_args: text,
+      start: checked(parseStartPosition)
+    }
+  },
+  hooks: {
+    named: false,
+    settings: {
+      on_complete: list(hookAction),
+      on_error: list(hookAction),
+      on_sync_finished: list(hookAction)
+    }
+  },
+  subscription: {
+    named: true,
+    required: ['query'],
+    settings: {
+      query: text,
+      channel: text,
+      exclude: text,
+      min_duration: parseDuration,
+      quality: checked(parseQualityPreference),
+      template: text
+    }
+  },
+  profile: {
+    named: true,
+    settings: SETTINGS
+  }
+};
+
+// Error in the config file, with the 1-based line it occurred at (if known)
+export class ConfigError extends Error {
+  constructor(message, file, line = null) {
+    super(line ? `${file}:${line}: ${message}` : `${file}: ${message}`);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.line = line;
+  }
+}
+
+// Read "key = value" entries and section headers the way the ini package
+// does, but keeping line numbers. Comments and blank lines are skipped.
+function readEntries(content) {
+  const entries = [];
+  const headers = [];
+  let section = '';
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*([;#]|$)/.test(line)) return;
+    const match = /^\[([^\]]*)\]\s*$|^([^=]+)(=(.*))?$/.exec(line);
+    if (!match) return;
+
+    if (match[1] !== undefined) {
+      section = unsafe(match[1]);
+      headers.push({ section, line: index + 1 });
+      return;
+    }
+    const raw = match[3] ? unsafe(match[4]) : true;
+    const value = raw === 'true' || raw === 'false' ? raw === 'true' : raw;
+    entries.push({ section, key: unsafe(match[2]), value, line: index + 1 });
+  });
+
+  return { entries, headers };
+}
+
+// Look up the schema for a section header: { settings, path } or an error message
+function resolveSection(section) {
+  const [type, ...rest] = section.split('.');
+  const name = rest.join('.');
+  const schema = SECTIONS[type];
+
+  if (!schema) {
+    return { error: `Unknown section [${section}] (expected ${Object.keys(SECTIONS).map(key => SECTIONS[key].named ? `[${key}.<name>]` : `[${key}]`).join(', ')})` };
+  }
+  if (schema.named && !/^[\w-]+$/.test(name)) {
+    return { error: `[${section}] needs a name of letters, digits, "_" and "-", like [${type}.example]` };
+  }
+  if (!schema.named && name) {
+    return { error: `Unknown section [${section}] (did you mean [${type}]?)` };
+  }
+  return { schema, path: schema.named ? [type, name] : [type] };
+}
+
+// Schema for a dotted key as used by `config get/set/unset`: "limit",
+// "player.command" or "profile.kids.output"
+export function resolveConfigKey(key) {
+  const parts = key.split('.');
+  const name = parts.pop();
+  const section = parts.join('.');
+
+  if (!section) {
+    if (!SETTINGS[name]) throw new Error(`Unknown setting "${key}"`);
+    return { section, name, parse: SETTINGS[name] };
+  }
+
+  const { schema, error } = resolveSection(section);
+  if (error) throw new Error(error);
+  if (!schema.settings[name]) {
+    throw new Error(`Unknown setting "${name}" in [${section}] (expected ${Object.keys(schema.settings).join(', ')})`);
+  }
+  return { section, name, parse: schema.settings[name] };
+}
+
+// Load and check a config file. Returns { config, entries, errors }: config
+// holds converted values (invalid ones are left out), entries the raw values
+// in file order and errors a ConfigError per problem found.
+export function loadConfigFile(file) {
+  const { entries, headers } = readEntries(fs.readFileSync(file, 'utf8'));
+  const config = {};
+  const errors = [];
+  const sections = new Map([['', { target: config, settings: SETTINGS }]]);
+
+  headers.forEach(({ section, line }) => {
+    if (sections.has(section)) return;
+    const { schema, path: sectionPath, error } = resolveSection(section);
+    if (error) {
+      errors.push(new ConfigError(error, file, line));
+      sections.set(section, null);
+      return;
+    }
+
+    let target = config;
+    sectionPath.forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    sections.set(section, { target, settings: schema.settings, schema, line });
+  });
+
+  entries.forEach(({ section, key, value, line }) => {
+    const context = sections.get(section);
+    if (!context) return;
+
+    const parse = context.settings[key];
+    if (!parse) {
+      const where = section ? ` in [${section}]` : '';
+      errors.push(new ConfigError(`Unknown setting "${key}"${where}`, file, line));
+      return;
+    }
+    try {
+      if (parse.list) {
+        context.target[key] = [...(context.target[key] || []), parse(value)];
+      } else {
+        context.target[key] = parse(value);
+      }
+    } catch (error) {
+      errors.push(new ConfigError(`${key}: ${error.message}`, file, line));
+    }
+  });
+
+  sections.forEach((context, section) => {
+    (context?.schema?.required || []).forEach(key => {
+      if (!entries.some(entry => entry.section === section && entry.key === key)) {
+        errors.push(new ConfigError(`[${section}] needs a ${key} setting`, file, context.line));
+      }
+    });
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { config, entries, errors };
+}
+
+// Settings of a profile applied over the top-level settings
+export function applyProfile(config, name) {
+  const profiles = config.profile || {};
+  if (!profiles[name]) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile "${name}" (${known.length > 0 ? `defined: ${known.join(', ')}` : 'no [profile.<name>] sections in the config file'})`);
+  }
+  return { ...config, ...profiles[name] };
+}
+
+// Line ranges of a section: the header index (-1 for the top level) and the
+// index of the next header (or the end of the file)
+function findSection(lines, section) {
+  const isHeader = line => /^\[([^\]]*)\]\s*$/.test(line);
+  const start = section ? lines.findIndex(line => isHeader(line) && unsafe(line.trim().slice(1, -1)) === section) : -1;
+  if (section && start === -1) return null;
+
+  const next = lines.findIndex((line, index) => index > start && isHeader(line));
+  return { start, end: next === -1 ? lines.length : next };
+}
+
+// Indexes of the lines setting a key within a section range
+function findKeyLines(lines, range, name) {
+  const indexes = [];
+  for (let index = range.start + 1; index < range.end; index++) {
+    const match = /^([^=;#[][^=]*?)\s*(=|$)/.exec(lines[index]);
+    if (match && unsafe(match[1]) === name) indexes.push(index);
+  }
+  return indexes;
+}
+
+// Index after the last non-blank line of a section range
+function findInsertIndex(lines, range) {
+  let index = range.end;
+  while (index > range.start + 1 && lines[index - 1].trim() === '') index--;
+  return index;
+}
+
+// Set a dotted key in the config file, keeping comments and everything else.
+// A commented-out top-level setting (as in the default file) is replaced.
+// Settings that may be given several times are added to instead.
+export function setConfigValue(file, key, value) {
+  const { section, name, parse } = resolveConfigKey(key);
+  try {
+    parse(value);
+  } catch (error) {
+    throw new Error(`${key}: ${error.message}`);
+  }
+
+  const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const lines = content === '' ? [] : content.replace(/\n$/, '').split('\n');
+  const entry = `${name} = ${safe(String(value))}`;
+  const range = findSection(lines, section);
+
+  if (!range) {
+    if (lines.length > 0 && lines[lines.length - 1].trim() !== '') lines.push('');
+    lines.push(`[${section}]`, entry);
+  } else {
+    const existing = findKeyLines(lines, range, name);
+    const commented = section ? -1 : lines.findIndex((line, index) => index < range.end && new RegExp(`^[;#]\\s*${name}\\s*=`).test(line));
+
+    if (parse.list) {
+      // Settings given several times (hooks) get another line after the last one
+      const last = existing.length > 0 ? existing[existing.length - 1] : -1;
+      if (!existing.some(index => lines[index] === entry)) {
+        lines.splice(last !== -1 ? last + 1 : findInsertIndex(lines, range), 0, entry);
+      }
+    } else if (existing.length > 0) {
+      lines[existing[0]] = entry;
+      existing.slice(1).reverse().forEach(index => lines.splice(index, 1));
+    } else if (commented !== -1) {
+      lines[commented] = entry;
+    } else if (!section && range.end < lines.length) {
+      // Top-level settings must come before the first section
+      const index = findInsertIndex(lines, range);
+      lines.splice(index, 0, ...(index > 0 ? ['', entry] : [entry]));
+    } else {
+      lines.splice(findInsertIndex(lines, range), 0, entry);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${lines.join('\n')}\n`, 'utf8');
+}
+
+// Remove a dotted key from the config file. Returns false if it wasn't set.
+export function unsetConfigValue(file, key) {
+  const { section, name } = resolveConfigKey(key);
+  if (!fs.existsSync(file)) return false;
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const range = findSection(lines, section);
+  const existing = range ? findKeyLines(lines, range, name) : [];
+  if (existing.length === 0) return false;
+
+  existing.reverse().forEach(index => lines.splice(index, 1));
+  fs.writeFileSync(file, lines.join('\n'), 'utf8');
+  return true;
+}
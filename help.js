@@ -7,7 +7,8 @@ console.log(chalk.cyan('============================\n'));
 
 console.log(chalk.bold('Interactive Usage:'));
 console.log('  mediathekview');
-console.log('  mediathekview -i\n');
+console.log('  mediathekview -i');
+console.log('  mediathekview --no-live                      Plain query prompt instead of search-as-you-type\n');
 
 console.log(chalk.bold('Common Commands:'));
 console.log('  mediathekview --channels                     List all available channels');
@@ -16,16 +17,72 @@ console.log('  mediathekview -q "Tatort" -c "ARD"          Search in specific ch
 console.log('  mediathekview -q "Tatort" -c                Channel selection prompt (includes ALL)');
 console.log('  mediathekview -q "Tatort" -e "ZDF,ARD"      Exclude specific channels');
 console.log('  mediathekview -q "Tatort" -l 10             Limit search results to 10');
+console.log('  mediathekview -q "Tatort" -l 10 --page 2    Show the second page of 10 results');
 console.log('  mediathekview -q "Tatort" --quality medium  Specify video quality (hd, medium, low)');
+console.log('  mediathekview -d "video-id" --quality hd,medium --max-size 1.5G');
+console.log('                                              Fallback order and size limit for downloads');
+console.log('  mediathekview -q "Tatort" -f json           Print results as JSON (also ndjson, csv)');
+console.log('  mediathekview -q "Tatort" --export rss --out tatort.rss');
+console.log('                                              Export results as a feed (also atom, m3u, xspf)');
+console.log('  mediathekview -q \'topic:Tatort !channel:ZDF dur:>60m after:2026-01-01\'');
+console.log('                                              Field filters, exclusions, duration and date ranges');
+console.log('  mediathekview -q "Tatort" --min-duration 45m --since 2w --sort duration');
+console.log('                                              Duration and date filters, result order');
+console.log('  mediathekview -q "Tatort" --dedupe ARD      Each broadcast once, preferably from ARD');
 console.log('  mediathekview -d "video-id"                 Download a specific video by ID');
-console.log('  mediathekview -q "Tatort" -o video.mp4      Specify output file path\n');
+console.log('  mediathekview -d "video-id" --subtitles     Download a video with its subtitles (.srt)');
+console.log('  mediathekview download "id1" "id2"         Download several videos (also search links, page URLs)');
+console.log('  mediathekview download - < ids.txt         Download the IDs and links listed in a file');
+console.log('  mediathekview --play "id1" "id2"            Play videos (several as a playlist)');
+console.log('  mediathekview -q "Tatort" -o video.mp4      Specify output file path');
+console.log('  mediathekview -d "video-id" -t "{topic}/{date} - {title}"');
+console.log('                                              Name downloads with a template (creates directories)');
+console.log('  mediathekview -d "video-id" -t library --nfo');
+console.log('                                              Media library layout with Kodi/Jellyfin metadata\n');
+
+console.log(chalk.bold('Subscriptions:'));
+console.log('  mediathekview subscribe add tatort "topic:Tatort" -c ARD   Save a search');
+console.log('  mediathekview subscribe list                            List saved searches');
+console.log('  mediathekview sync                                      Download new entries of all subscriptions');
+console.log('  mediathekview sync --dry-run                            Show new entries without downloading');
+console.log('  mediathekview sync --download-window 22:00-06:00 --limit-rate 2M');
+console.log('                                                          Download only at night, at up to 2 MB/s\n');
+
+console.log(chalk.bold('Offline Mode:'));
+console.log('  mediathekview index import Filmliste-akt.xz              Import a MediathekView film list');
+console.log('  mediathekview --offline -q "Tatort"                     Search the imported list\n');
+
+console.log(chalk.bold('Download History:'));
+console.log('  mediathekview history list                              Show downloads, newest first');
+console.log('  mediathekview history search tatort                     Find earlier downloads');
+console.log('  mediathekview history prune --missing                   Forget downloads whose file is gone');
+console.log('  mediathekview -d "video-id" --force                     Download again without asking\n');
+
+console.log(chalk.bold('Cache:'));
+console.log('  mediathekview cache stats                               Show cached responses per type');
+console.log('  mediathekview cache clear --expired                     Delete responses past their lifetime');
+console.log('  mediathekview -q "Tatort" --refresh                     Ask the server instead of the cache\n');
+
+console.log(chalk.bold('Configuration:'));
+console.log('  mediathekview config path                               Show where the config file is');
+console.log('  mediathekview config set limit 50                       Change a setting (checked first)');
+console.log('  mediathekview config edit                               Edit the file and check it afterwards');
+console.log('  mediathekview --profile kids -q "Maus"                  Use the settings of [profile.kids]\n');
 
 console.log(chalk.bold('Tips:'));
 console.log('- Interactive mode makes it easy to search and select videos');
+console.log('  It keeps running: after each video, go back to the results or start a new search');
+console.log('- -q/--query never prompts: pipe its output into jq or a spreadsheet');
+console.log('  For example: mediathekview -q "Tatort" -f ndjson | jq .title');
 console.log('- You can customize filenames when downloading (unless -o is specified)');
-console.log('- If mpv is installed, you can play videos directly');
+console.log('- If mpv, vlc or ffplay is installed, you can play videos directly');
+console.log('  Set another player in the [player] section of the config file');
+console.log('- Run commands, webhooks or move:<dir> after downloads with the [hooks] section');
+console.log('  of the config file (on_complete, on_error, on_sync_finished)');
 console.log('- Use the -s option if you\'re using a different server');
 console.log('  For example: mediathekview -s http://localhost:3000');
+console.log('- Behind a proxy that blocks websockets, --transport rest uses plain HTTP');
+console.log('  (this also happens automatically when socket.io cannot connect)');
 console.log('- Use --debug flag to enable verbose console output for troubleshooting');
 console.log('  For example: mediathekview --debug -q "Tatort"\n');
 
@@ -0,0 +1,159 @@
+// Hooks run on download and sync events, from the [hooks] section of the
+// config file. An action is a shell command (run with MVW_* environment
+// variables), an http(s) URL (the event is POSTed to it as JSON) or
+// move:<directory> (the downloaded file and its .srt/.nfo are moved there).
+// Nothing in here writes to the console - failed actions throw.
+import fetch from 'node-fetch';
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+// Events with the config key their actions are read from
+export const HOOK_EVENTS = {
+  complete: 'on_complete',
+  error: 'on_error',
+  sync_finished: 'on_sync_finished'
+};
+
+// How long a command may run and a webhook may take to answer
+const HOOK_COMMAND_TIMEOUT_MS = 60000;
+const HOOK_WEBHOOK_TIMEOUT_MS = 10000;
+
+// Output of a failed command shown in the error message
+const HOOK_OUTPUT_LIMIT = 500;
+
+// Kind and target of an action: { type: 'command' | 'webhook' | 'move', target }
+export function getHookAction(action) {
+  if (action.startsWith('move:')) {
+    return { type: 'move', target: action.slice('move:'.length).trim() };
+  }
+  if (/^https?:\/\//i.test(action)) {
+    return { type: 'webhook', target: action };
+  }
+  return { type: 'command', target: action };
+}
+
+// Environment variables for a command: MVW_EVENT plus MVW_<KEY> for every
+// value of the event data, e.g. MVW_PATH or MVW_TITLE
+export function getHookEnvironment(event, data) {
+  const environment = { MVW_EVENT: event };
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      environment[`MVW_${key.toUpperCase()}`] = String(value);
+    }
+  });
+  return environment;
+}
+
+// Run a shell command, rejects if it fails or takes too long
+function runCommand(command, event, data) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, {
+      shell: true,
+      env: { ...process.env, ...getHookEnvironment(event, data) },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const collect = (chunk) => {
+      output = (output + chunk).slice(-HOOK_OUTPUT_LIMIT);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Timed out after ${HOOK_COMMAND_TIMEOUT_MS / 1000}s`));
+    }, HOOK_COMMAND_TIMEOUT_MS);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(output);
+      } else {
+        const lastLine = output.trim().split('\n').pop();
+        reject(new Error(`Exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+      }
+    });
+  });
+}
+
+// POST the event as JSON, rejects unless the answer is a 2xx
+async function postWebhook(url, event, data) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ event, ...data }),
+    signal: AbortSignal.timeout(HOOK_WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Server responded with ${response.status} ${response.statusText}`);
+  }
+}
+
+// Move a file into a directory, also across file systems
+function moveFile(file, directory) {
+  const target = path.join(directory, path.basename(file));
+  if (fs.existsSync(target)) {
+    throw new Error(`${target} already exists`);
+  }
+
+  try {
+    fs.renameSync(file, target);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(file, target);
+    fs.unlinkSync(file);
+  }
+  return target;
+}
+
+// Remove the directories a move left empty, from directory up to (but not
+// including) root. Directories outside root are kept.
+function removeEmptyDirectories(directory, root) {
+  const isBelowRoot = dir => {
+    const relative = path.relative(root, dir);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  while (isBelowRoot(directory) && fs.readdirSync(directory).length === 0) {
+    fs.rmdirSync(directory);
+    directory = path.dirname(directory);
+  }
+}
+
+// Run one action for an event. data holds the event details (path, title,
+// size etc.); resolves to it with the paths updated after a move. root is
+// the directory up to which a move cleans up emptied directories.
+export async function runHook(action, event, data, { root = null } = {}) {
+  const { type, target } = getHookAction(action);
+
+  if (type === 'webhook') {
+    await postWebhook(target, event, data);
+    return data;
+  }
+
+  if (type === 'move') {
+    if (!data.path || !fs.existsSync(data.path)) {
+      throw new Error('No downloaded file to move');
+    }
+    const directory = path.resolve(target);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const moved = { ...data, path: moveFile(data.path, directory) };
+    ['subtitles', 'nfo'].forEach(key => {
+      if (data[key] && fs.existsSync(data[key])) {
+        moved[key] = moveFile(data[key], directory);
+      }
+    });
+    if (root) {
+      removeEmptyDirectories(path.dirname(path.resolve(data.path)), path.resolve(root));
+    }
+    return moved;
+  }
+
+  await runCommand(target, event, data);
+  return data;
+}
@@ -1,23 +1,128 @@
 #!/usr/bin/env node
 
-import { io } from 'socket.io-client';
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 import inquirer from 'inquirer';
+import inquirerAutocompletePrompt from 'inquirer-autocomplete-prompt';
 import ora from 'ora';
 import chalk from 'chalk';
-import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { createWriteStream } from 'fs';
 import { spawn } from 'child_process';
 import os from 'os';
-import { parse } from 'ini';
+import { safe } from 'ini';
+import {
+  MediathekClient,
+  QuerySyntaxError,
+  DEFAULT_SERVER,
+  DOWNLOAD_RETRIES,
+  TRANSPORTS,
+  CACHE_TTLS,
+  getDataDir,
+  getCacheDir,
+  clearCache,
+  getCacheStats,
+  parseQuery,
+  matchesQueryFilters,
+  buildSearchQuery,
+  parseChannelList,
+  parseShareLink,
+  isHlsUrl,
+  parseDuration,
+  parseDate,
+  applySearchFilters,
+  sortResults,
+  matchesChannelPattern,
+  isSameAiring,
+  dedupeResults,
+  SORT_ORDERS
+} from './client.js';
+import {
+  ConfigError,
+  COLLISION_POLICIES,
+  getConfigFile,
+  loadConfigFile,
+  applyProfile,
+  resolveConfigKey,
+  setConfigValue,
+  unsetConfigValue,
+  expandTildePath,
+  parseQualityPreference,
+  parseSize,
+  parseStartPosition,
+  parseDownloadWindow,
+  getDownloadWindowState
+} from './config.js';
+import { HOOK_EVENTS, runHook } from './hooks.js';
 
 // Configuration
-const DEFAULT_SERVER = 'https://mediathekviewweb.de';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_FILE = path.join(os.homedir(), '.mediathekviewrc');
+const CONFIG_FILE = getConfigFile();
+const DATA_DIR = getDataDir();
+const SYNC_STATE_FILE = path.join(DATA_DIR, 'sync-state.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const CACHE_DIR = getCacheDir();
+
+// Video qualities, best first
+const QUALITIES = [
+  { name: 'High (HD)', value: 'url_video_hd', key: 'hd' },
+  { name: 'Medium', value: 'url_video', key: 'medium' },
+  { name: 'Low', value: 'url_video_low', key: 'low' }
+];
+
+// Output formats for non-interactive search
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+// Playlist and feed formats for --export
+const EXPORT_FORMATS = ['m3u', 'xspf', 'rss', 'atom'];
+
+// Columns written by --format csv
+const CSV_COLUMNS = ['id', 'channel', 'topic', 'title', 'timestamp', 'duration', 'url_website', 'url_video_hd', 'url_video', 'url_video_low', 'url_subtitle'];
+
+// Page size for --page and interactive paging when no limit is set
+const DEFAULT_PAGE_SIZE = 50;
+
+// Live search: wait this long after the last keystroke before querying
+const LIVE_SEARCH_DEBOUNCE_MS = 300;
+
+// Live search: minimum input length and number of matches shown
+const LIVE_SEARCH_MIN_LENGTH = 2;
+const LIVE_SEARCH_SIZE = 25;
+
+// Navigation entries appended to the interactive result list
+const NAVIGATION = {
+  NEXT: '__next_page__',
+  PREVIOUS: '__previous_page__',
+  MULTI: '__multi_select__'
+};
+
+// Default filename template (see renderFilenameTemplate)
+const DEFAULT_FILENAME_TEMPLATE = '{title}-{channel}';
+
+// Named filename templates for -t/--template. library follows the folder
+// structure Kodi, Jellyfin and Plex expect for date-based episodes.
+const TEMPLATE_PRESETS = {
+  library: '{topic}/Season {date:YYYY}/{topic} - {date} - {title}'
+};
+
+// Placeholders available in filename templates
+const TEMPLATE_PLACEHOLDERS = ['channel', 'topic', 'title', 'date', 'duration', 'quality', 'id'];
+
+// Results fetched per subscription during sync
+const SYNC_SEARCH_LIMIT = 50;
+
+// Results downloaded per MediathekViewWeb search link when no limit is set
+const SHARE_LINK_LIMIT = 50;
+
+// Columns written by `history --format csv`
+const HISTORY_CSV_COLUMNS = ['date', 'id', 'channel', 'topic', 'title', 'size', 'path', 'url'];
+
+// Process exit codes
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  NO_RESULTS: 2
+};
 
 // Default config content
 const DEFAULT_CONFIG = `# MediathekView CLI configuration
@@ -29,25 +134,94 @@ server = https://mediathekviewweb.de
 # Default channel (comment out for no default)
 # channel = ARD
 
-# Video quality (hd, medium, low)
+# Video quality (hd, medium, low), or a fallback order like hd,medium
 quality = hd
 
+# Skip qualities larger than this (K, M, G)
+# max_size = 1.5G
+
 # Default limit for search results (comment out for no limit)
 limit = 100
 
-# Channels to exclude (comma-separated)
-# exclude = ZDF,NDR
+# Parallel downloads for batch downloads
+# jobs = 2
+
+# Download speed limit for all downloads together (K, M, G per second)
+# limit_rate = 2M
+
+# Only download within these hours; downloads wait outside of them, and
+# running ones pause and resume later (--no-download-window ignores this)
+# download_window = 22:00-06:00
+
+# Also download subtitles (.srt next to the video)
+# subtitles = true
+
+# Filename template for downloads, "/" creates subdirectories
+# Placeholders: {channel} {topic} {title} {date:YYYY-MM-DD} {duration} {quality} {id}
+# "library" is {topic}/Season {date:YYYY}/{topic} - {date} - {title}
+# filename_template = {topic}/{date} - {title}
+
+# Also write Kodi/Jellyfin metadata (.nfo next to the video)
+# nfo = true
+
+# If the download file exists: number (add " (2)"), skip or overwrite
+# on_exists = number
+
+# Channels to exclude (comma-separated, * and ? as wildcards)
+# exclude = ZDF*,NDR
+
+# Only results of this duration (minutes, or e.g. 1h30m)
+# min_duration = 20
+# max_duration = 3h
+
+# Result order: date, duration, channel or title
+# sort = date
+
+# Show broadcasts aired on several channels once (true, or preferred channels)
+# dedupe = ARD,ZDF
+
+# Connection method: auto (socket.io, REST if that fails), socket or rest
+# transport = auto
+
+# Minutes cached server responses stay fresh (--no-cache turns the cache off)
+# cache_ttl_channels = 1440
+# cache_ttl_queries = 10
+# cache_ttl_descriptions = 10080
 
 # Default output file path (comment out for interactive prompt)
 # output = ~/Videos/mediathek.mp4
+
+# Directory for downloads named by filename_template (default: the current directory)
+# output_dir = ~/Videos
+
+# Player for --play (default: the first of mpv, vlc and ffplay found),
+# see the README for argument templates
+# [player]
+# command = mpv
+# start = 0
+
+# Actions run after a download or sync: a shell command (gets MVW_PATH,
+# MVW_TITLE etc.), an http(s) URL to POST the event to as JSON or
+# move:<directory>. Repeat a key to run several actions.
+# [hooks]
+# on_complete = move:~/Videos/Library
+# on_error = https://example.org/webhook
+# on_sync_finished = curl -s -X POST http://localhost:8096/Library/Refresh
+
+# Profile selected with --profile kids, overrides the settings above
+# [profile.kids]
+# channel = KiKA
+# output_dir = ~/Videos/Kids
 `;
 
 // Create default config file if it doesn't exist
 function createDefaultConfig() {
   try {
     if (!fs.existsSync(CONFIG_FILE)) {
+      fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
       fs.writeFileSync(CONFIG_FILE, DEFAULT_CONFIG, 'utf8');
-      console.log(chalk.green(`Created default configuration file: ${CONFIG_FILE}`));
+      // stderr, so a first run doesn't end up in piped search output
+      console.error(chalk.green(`Created default configuration file: ${CONFIG_FILE}`));
       return true;
     }
   } catch (err) {
@@ -57,18 +231,14 @@ function createDefaultConfig() {
   return false;
 }
 
-// Load configuration file if it exists, or create it
+// Load configuration file if it exists, or create it. Problems are collected
+// in configErrors and reported once the command line is parsed.
+const configErrors = [];
 function loadConfig() {
   try {
     if (fs.existsSync(CONFIG_FILE)) {
-      const configContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-      const config = parse(configContent);
-      
-      // Expand any tildes in paths
-      if (config.output) {
-        config.output = expandTildePath(config.output);
-      }
-      
+      const { config, errors } = loadConfigFile(CONFIG_FILE);
+      configErrors.push(...errors);
       return config;
     } else {
       // Create default config file
@@ -77,15 +247,31 @@ function loadConfig() {
       return {};
     }
   } catch (err) {
-    console.error(chalk.yellow(`Warning: Could not parse config file ${CONFIG_FILE}`));
-    console.error(err.message);
+    configErrors.push(new ConfigError(`Could not read the file: ${err.message}`, CONFIG_FILE));
   }
   return {};
 }
 
-// Get default settings from config file
-const configDefaults = loadConfig();
-const hasConfigFile = Object.keys(configDefaults).length > 0;
+// The --profile argument, needed for the option defaults before the command
+// line is parsed
+function getProfileArgument(argv) {
+  const index = argv.findIndex(arg => arg === '--profile' || arg.startsWith('--profile='));
+  if (index === -1) return null;
+  return argv[index].startsWith('--profile=') ? argv[index].slice('--profile='.length) : argv[index + 1] || null;
+}
+
+// Get default settings from config file, with the selected profile applied
+const fileConfig = loadConfig();
+const hasConfigFile = Object.keys(fileConfig).length > 0;
+const profile = getProfileArgument(process.argv.slice(2));
+let configDefaults = fileConfig;
+if (profile) {
+  try {
+    configDefaults = applyProfile(fileConfig, profile);
+  } catch (error) {
+    configErrors.push(error);
+  }
+}
 
 // Debug logger function
 function debug(message, data) {
@@ -106,6 +292,34 @@ function debug(message, data) {
   console.debug(chalk.gray(logMessage));
 }
 
+// Commander argument parser for integers with a lower bound
+function parseIntegerOption(min) {
+  return (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+      throw new InvalidArgumentError(`Expected an integer >= ${min}.`);
+    }
+    return number;
+  };
+}
+
+// Commander argument parser from a parse function that throws on invalid values
+function argumentParser(parse) {
+  return (value) => {
+    try {
+      return parse(value);
+    } catch (error) {
+      throw new InvalidArgumentError(error.message);
+    }
+  };
+}
+
+// --until includes the whole day, so the bound is the start of the next one
+function parseUntilDate(value) {
+  const date = parseDate(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
 // Command line arguments setup
 const program = new Command();
 program
@@ -114,19 +328,207 @@ program
   .version('1.0.0')
   .option('-s, --server <url>', 'Server URL', configDefaults.server || DEFAULT_SERVER)
   .option('--channels', 'List available channels')
-  .option('-d, --download <id>', 'Download video by ID')
+  .option('-d, --download <id>', 'Download video by ID, search link or website URL (see the download command for several)')
+  .option('-p, --play <ids...>', 'Play videos by ID (several are played as a playlist)')
   .option('-o, --output <path>', 'Output file path for download', configDefaults.output)
+  .option('--output-dir <dir>', 'Directory for downloads named by the filename template', configDefaults.output_dir)
   .option('-i, --interactive', 'Interactive mode')
-  .option('-l, --limit <limit>', 'Limit search results', configDefaults.limit)
+  .option('-l, --limit <limit>', 'Limit search results', parseIntegerOption(1), configDefaults.limit)
   .option('-c, --channel [channel]', 'Filter results by channel', configDefaults.channel)
-  .option('-e, --exclude <channels>', 'Exclude channels (comma-separated list)', configDefaults.exclude)
-  .option('--quality <quality>', 'Video quality (hd, medium, low)', configDefaults.quality || 'hd')
+  .option('-e, --exclude <channels>', 'Exclude channels (comma-separated, case-insensitive, * and ? as wildcards)', configDefaults.exclude)
+  .option('--min-duration <duration>', 'Only results at least this long, e.g. 30, 45m or 1h30m', argumentParser(parseDuration), configDefaults.min_duration)
+  .option('--max-duration <duration>', 'Only results at most this long', argumentParser(parseDuration), configDefaults.max_duration)
+  .option('--since <date>', 'Only results broadcast on or after this day (YYYY-MM-DD, or e.g. 7d or 2w ago)', argumentParser(parseDate))
+  .option('--until <date>', 'Only results broadcast on or before this day', argumentParser(parseUntilDate))
+  .addOption(new Option('--sort <key>', 'Result order (title only sorts each page)').choices(Object.keys(SORT_ORDERS)).default(configDefaults.sort))
+  .option('--dedupe [channels]', 'Show a broadcast aired on several channels once: from the first of these channels, or in the best quality', configDefaults.dedupe)
+  .option('--quality <quality>', 'Video quality (hd, medium, low) or fallback order, e.g. "hd,medium"', configDefaults.quality || 'hd')
+  .option('--max-size <size>', 'Skip qualities larger than this, e.g. 1.5G or 800M', configDefaults.max_size)
+  .option('-t, --template <template>', 'Filename template for downloads, e.g. "{topic}/{date} {title}", or "library"', configDefaults.filename_template)
+  .addOption(new Option('--on-exists <policy>', 'What to do if the download file exists').choices(COLLISION_POLICIES).default(configDefaults.on_exists || 'number'))
+  .option('--subtitles', 'Also download subtitles as .srt next to the video', configDefaults.subtitles === true)
+  .option('--nfo', 'Also write Kodi/Jellyfin metadata as .nfo next to the video', configDefaults.nfo === true)
+  .option('--force', 'Download even if the video is in the download history')
+  .option('-j, --jobs <jobs>', 'Number of parallel downloads for batch downloads', parseIntegerOption(1), configDefaults.jobs || 2)
+  .option('--limit-rate <rate>', 'Limit the download speed (bytes per second, all downloads together), e.g. 2M or 500K', configDefaults.limit_rate)
+  .option('--download-window <window>', 'Only download within these hours, e.g. 22:00-06:00; downloads wait and pause outside of them', configDefaults.download_window)
+  .option('--no-download-window', 'Download right away, ignoring download_window from the config file')
+  .option('-q, --query <query>', 'Search and print results to stdout (no prompts)')
+  .addOption(new Option('-f, --format <format>', 'Output format for search results').choices(OUTPUT_FORMATS).default('table'))
+  .addOption(new Option('--export <format>', 'Export search results as a playlist or feed').choices(EXPORT_FORMATS).conflicts('format'))
+  .option('--out <file>', 'Write search results to a file instead of stdout')
+  .addOption(new Option('--page <page>', 'Result page to print (1-based, page size is --limit)').argParser(parseIntegerOption(1)).conflicts('offset'))
+  .option('--offset <offset>', 'Number of results to skip', parseIntegerOption(0))
+  .option('--no-live', 'Disable search-as-you-type in interactive mode')
+  .option('--offline', 'Search the local index (see "index import") instead of the server')
+  .addOption(new Option('--transport <transport>', 'Connection method (REST is used if socket.io fails with auto)').choices(TRANSPORTS).default(configDefaults.transport || 'auto'))
+  .option('--no-cache', 'Neither read nor store cached server responses')
+  .option('--refresh', 'Ask the server even if a cached response exists (and cache the new one)')
+  .option('--profile <name>', 'Use the settings of a [profile.<name>] config section')
   .option('--debug', 'Enable debug mode (verbose console output)')
   .addHelpText('after', `
+Exit codes:
+  0  Search returned results (or command succeeded)
+  1  Error (connection, server or invalid arguments)
+  2  Search returned no results
+
 Configuration file:
-  A default configuration file is auto-created at ~/.mediathekviewrc on first run.
-  Edit this file to set your preferred defaults.`)
-  .parse(process.argv);
+  A default configuration file is auto-created on first run
+  (${CONFIG_FILE}).
+  Edit it with "mediathekview config edit" or "config set" to set your preferred defaults.`)
+  // Without a subcommand the root options select what to do
+  .action(() => {});
+
+// Subcommand selected on the command line, dispatched once everything is set up
+let command = null;
+
+const subscribeCommand = program
+  .command('subscribe')
+  .description('Manage saved searches (subscriptions) for sync');
+
+subscribeCommand
+  .command('add <name> <query>')
+  .description('Add a subscription; -c, -e, --quality, --min-duration and -t are saved with it')
+  .action((name, query) => {
+    command = { name: 'subscribe-add', subscription: name, query };
+  });
+
+subscribeCommand
+  .command('list')
+  .description('List subscriptions')
+  .action(() => {
+    command = { name: 'subscribe-list' };
+  });
+
+subscribeCommand
+  .command('remove <name>')
+  .alias('rm')
+  .description('Remove a subscription')
+  .action((name) => {
+    command = { name: 'subscribe-remove', subscription: name };
+  });
+
+program
+  .command('download <items...>')
+  .description('Download videos by ID, MediathekViewWeb search link or broadcaster page URL ("-" reads them from stdin, one per line)')
+  .action((items) => {
+    command = { name: 'download', items };
+  });
+
+program
+  .command('sync [names...]')
+  .description('Download new entries of all (or the named) subscriptions')
+  .option('--dry-run', 'Only list new entries')
+  .option('--mark-seen', 'Record new entries as fetched without downloading')
+  .action((names, commandOptions) => {
+    command = { name: 'sync', names, ...commandOptions };
+  });
+
+const historyCommand = program
+  .command('history')
+  .description('Show and maintain the download history');
+
+historyCommand
+  .command('list')
+  .description('List downloads, newest first (-f json|ndjson|csv for other formats)')
+  .option('-n, --last <count>', 'Only show the most recent downloads', parseIntegerOption(1))
+  .action((commandOptions) => {
+    command = { name: 'history-list', ...commandOptions };
+  });
+
+historyCommand
+  .command('search <text>')
+  .description('List downloads whose title, topic, channel, ID or path contains the text')
+  .action((text) => {
+    command = { name: 'history-search', text };
+  });
+
+historyCommand
+  .command('prune')
+  .description('Remove entries from the history (files are not deleted)')
+  .option('--older-than <days>', 'Entries downloaded more than this many days ago', parseIntegerOption(0))
+  .option('--missing', 'Entries whose file no longer exists')
+  .action((commandOptions) => {
+    command = { name: 'history-prune', ...commandOptions };
+  });
+
+const indexCommand = program
+  .command('index')
+  .description('Manage the local film list index used by --offline');
+
+indexCommand
+  .command('import <file>')
+  .description('Import a MediathekView Filmliste file (JSON, optionally .xz or .gz compressed)')
+  .action((file) => {
+    command = { name: 'index-import', file };
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the cache of server responses');
+
+cacheCommand
+  .command('clear')
+  .description('Delete cached responses')
+  .option('--expired', 'Only delete responses older than their lifetime')
+  .action((commandOptions) => {
+    command = { name: 'cache-clear', ...commandOptions };
+  });
+
+cacheCommand
+  .command('stats')
+  .description('Show entries, size and age of the cache per type (-f json|ndjson|csv for other formats)')
+  .action(() => {
+    command = { name: 'cache-stats' };
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Show and change settings of the config file');
+
+configCommand
+  .command('get <key>')
+  .description('Print a setting, e.g. limit, player.command or profile.kids.output_dir')
+  .action((key) => {
+    command = { name: 'config-get', key };
+  });
+
+configCommand
+  .command('set <key> <value>')
+  .description('Change a setting (the value is checked first)')
+  .action((key, value) => {
+    command = { name: 'config-set', key, value };
+  });
+
+configCommand
+  .command('unset <key>')
+  .description('Remove a setting')
+  .action((key) => {
+    command = { name: 'config-unset', key };
+  });
+
+configCommand
+  .command('list')
+  .description('List all settings of the config file and any problems found')
+  .action(() => {
+    command = { name: 'config-list' };
+  });
+
+configCommand
+  .command('edit')
+  .description('Open the config file in $VISUAL or $EDITOR and check it afterwards')
+  .action(() => {
+    command = { name: 'config-edit' };
+  });
+
+configCommand
+  .command('path')
+  .description('Print the location of the config file')
+  .action(() => {
+    command = { name: 'config-path' };
+  });
+
+program.parse(process.argv);
 
 const options = program.opts();
 
@@ -138,33 +540,163 @@ if (global.debugMode) {
   debug('CLI started with options', options);
   
   if (hasConfigFile) {
-    debug('Loaded configuration from ~/.mediathekviewrc', configDefaults);
+    debug(`Loaded configuration from ${CONFIG_FILE}`, { profile, config: configDefaults });
   } else {
     debug('No configuration file found');
   }
 }
 
+// Config commands must work even if the file has errors, so they can be fixed
+const isConfigCommand = command?.name.startsWith('config-') === true;
+if (configErrors.length > 0 && !isConfigCommand) {
+  configErrors.forEach(error => console.error(chalk.red(`Error: ${error.message}`)));
+  console.error('Fix the config file with "mediathekview config edit" or "mediathekview config set".');
+  process.exit(EXIT_CODES.ERROR);
+}
+
+// Cache lifetimes in seconds from the cache_ttl_<type> config keys (minutes)
+function getCacheTtls() {
+  const ttls = {};
+  Object.keys(CACHE_TTLS).forEach(type => {
+    const minutes = configDefaults[`cache_ttl_${type}`];
+    if (minutes !== undefined) {
+      ttls[type] = minutes * 60;
+    }
+  });
+  return ttls;
+}
+
+let cacheTtls;
+let playerStart;
+let maxSize;
+let rateLimit;
+let downloadWindow;
+try {
+  cacheTtls = getCacheTtls();
+  playerStart = configDefaults.player?.start !== undefined ? parseStartPosition(configDefaults.player.start) : 0;
+  parseQualityPreference(options.quality);
+  maxSize = options.maxSize ? parseSize(options.maxSize) : null;
+  rateLimit = options.limitRate ? parseSize(options.limitRate) : null;
+  downloadWindow = options.downloadWindow ? parseDownloadWindow(options.downloadWindow) : null;
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+// Result filters and order for searches, from --min-duration, --since, --sort etc.
+const resultFilters = {
+  minDuration: options.minDuration ?? null,
+  maxDuration: options.maxDuration ?? null,
+  since: options.since ?? null,
+  until: options.until ?? null,
+  sort: options.sort ?? null,
+  // --dedupe without channels keeps the entry with the best quality
+  dedupe: typeof options.dedupe === 'string' ? parseChannelList(options.dedupe) : options.dedupe === true
+};
+
+if (resultFilters.minDuration !== null && resultFilters.maxDuration !== null && resultFilters.minDuration > resultFilters.maxDuration) {
+  console.error(chalk.red('Error: --min-duration is larger than --max-duration'));
+  process.exit(EXIT_CODES.ERROR);
+}
+if (resultFilters.since && resultFilters.until && resultFilters.since >= resultFilters.until) {
+  console.error(chalk.red('Error: --since is after --until'));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+// Check the filename template before anything is downloaded
+const templateError = options.template && !isConfigCommand ? validateFilenameTemplate(options.template) : null;
+if (templateError) {
+  console.error(chalk.red(`Error: ${templateError}`));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+// Prompts need a terminal - fail early instead of hanging on a pipe
+const canPrompt = process.stdin.isTTY && process.stdout.isTTY;
+
+if (!canPrompt && options.channel === true) {
+  console.error(chalk.red('Error: -c/--channel needs a value when not running in a terminal'));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+if ((options.export || options.out) && !options.query) {
+  console.error(chalk.red('Error: --export and --out need a search (-q/--query)'));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+if (!canPrompt && !command && !options.channels && !options.query && !options.download && !options.play) {
+  console.error(chalk.red('Error: interactive mode requires a terminal. Use -q/--query to search non-interactively.'));
+  process.exit(EXIT_CODES.ERROR);
+}
+
+// Print status messages - to stderr when stdout carries search results
+function info(message) {
+  if (options.query) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
 // We no longer need to create a directory here since output is now a file path
 
-// Setup socket.io connection
-const socket = io(options.server, {
-  reconnection: true,
-  reconnectionDelay: 1000,
-  reconnectionAttempts: 5
+inquirer.registerPrompt('autocomplete', inquirerAutocompletePrompt);
+
+// Client for the server (or the local index with --offline); the connection
+// is opened at the end of this file
+const client = new MediathekClient({
+  server: options.server,
+  transport: options.transport,
+  offline: options.offline,
+  dataDir: DATA_DIR,
+  cache: options.cache,
+  refresh: options.refresh,
+  cacheDir: CACHE_DIR,
+  cacheTtls,
+  rateLimit
 });
 
-// Handle socket connection
-socket.on('connect', async () => {
-  console.log(chalk.green('Connected to server:', options.server));
-  debug('Socket connected', { server: options.server, socketId: socket.id });
-  
+client.on('debug', debug);
+
+client.on('transport', (name, reason) => {
+  if (name === 'socket') {
+    info(chalk.green('Connected to server: ' + options.server));
+  } else if (name === 'rest' && options.transport === 'auto') {
+    // Blocked websockets (e.g. by a proxy) end up here
+    info(chalk.yellow(`socket.io unavailable (${reason}), using the REST API of server: ${options.server}`));
+  } else if (name === 'rest') {
+    info(chalk.green('Using REST API of server: ' + options.server));
+  } else {
+    const indexInfo = client.getIndexInfo();
+    info(chalk.green(`Offline: using local index (${indexInfo.entries} entries, film list from ${indexInfo.listCreated || indexInfo.importedAt})`));
+  }
+});
+
+// Reconnects continue the running command
+client.on('reconnect', () => {
+  info(chalk.green('Connected to server: ' + options.server));
+});
+
+client.on('disconnect', () => {
+  info(chalk.yellow('Disconnected from server'));
+});
+
+client.on('staleCache', ({ type, age, error }) => {
+  info(chalk.yellow(`Server unreachable (${error.message}), using the ${type === 'channels' ? 'channel list' : type} cached ${formatAge(age)} ago`));
+});
+
+// Only with --transport socket - auto switches to REST instead
+client.on('connectionLost', (error) => {
+  console.error(chalk.red(error.message));
+  process.exit(EXIT_CODES.ERROR);
+});
+
+// Run what the command line asked for - once connected, or right away with --offline
+async function runCommand() {
   // If --channel is specified without a value, prompt for channel
   if (options.channel === true) {
     debug('Channel flag set without value, fetching available channels');
     try {
-      const response = await fetch(`${options.server}/api/channels`);
-      const data = await response.json();
-      const channels = data.channels || [];
+      const channels = await client.listChannels();
       
       if (channels.length > 0) {
         // Add ALL option at the top of the list
@@ -196,25 +728,34 @@ socket.on('connect', async () => {
   }
   
   // Process command line options
-  if (options.channels) {
+  if (command?.name === 'sync') {
+    debug('Command: Sync subscriptions', command);
+    runSync(command);
+  } else if (command?.name === 'download') {
+    debug('Command: Download videos', { references: command.items });
+    downloadByReference(command.items);
+  } else if (options.channels) {
     debug('Command: List channels');
     listChannels();
   } else if (options.query) {
     debug('Command: Search movies', { query: options.query, channel: options.channel || 'ALL' });
     if (options.channel) {
-      console.log(chalk.cyan(`Searching in channel: ${options.channel}`));
+      info(chalk.cyan(`Searching in channel: ${options.channel}`));
     } else {
-      console.log(chalk.cyan('Searching in ALL channels'));
+      info(chalk.cyan('Searching in ALL channels'));
     }
     
     if (options.exclude) {
-      console.log(chalk.cyan(`Excluding channels: ${options.exclude}`));
+      info(chalk.cyan(`Excluding channels: ${options.exclude}`));
     }
     
-    searchMovies(options.query, options.channel, options.limit, options.exclude);
+    runSearchCommand();
+  } else if (options.play) {
+    debug('Command: Play videos', { ids: options.play });
+    playVideosById(options.play);
   } else if (options.download) {
-    debug('Command: Download video', { id: options.download });
-    getAndDownloadVideo(options.download);
+    debug('Command: Download video', { reference: options.download });
+    downloadByReference([options.download]);
   } else if (options.interactive) {
     debug('Command: Interactive mode');
     startInteractiveMode();
@@ -222,613 +763,2465 @@ socket.on('connect', async () => {
     debug('Command: Default to interactive mode');
     startInteractiveMode();
   }
-});
-
-socket.on('disconnect', () => {
-  console.log(chalk.yellow('Disconnected from server'));
-  debug('Socket disconnected');
-});
-
-socket.on('error', (error) => {
-  console.error(chalk.red('Connection error:'), error);
-  debug('Socket error', error);
-  process.exit(1);
-});
+}
 
 // List available channels
 async function listChannels() {
   const spinner = ora('Loading channels...').start();
-  debug('Loading channels from API');
   
   try {
-    const response = await fetch(`${options.server}/api/channels`);
-    const data = await response.json();
+    const channels = await client.listChannels();
     
     spinner.succeed(chalk.green('Channels loaded'));
-    debug('Channels loaded successfully', { count: data.channels?.length });
-    
-    if (data.error) {
-      console.error(chalk.red('Error loading channels:'), data.error);
-      debug('Error loading channels', data.error);
-    } else {
-      console.log(chalk.cyan('Available channels:'));
-      data.channels.sort().forEach(channel => {
-        console.log(`- ${channel}`);
-      });
-      debug('Displayed channel list', { channels: data.channels });
-    }
+    console.log(chalk.cyan('Available channels:'));
+    [...channels].sort().forEach(channel => {
+      console.log(`- ${channel}`);
+    });
+    debug('Displayed channel list', { channels });
   } catch (error) {
     spinner.fail(chalk.red('Failed to load channels'));
     console.error(error);
     debug('Exception loading channels', { error: error.message, stack: error.stack });
+    process.exit(EXIT_CODES.ERROR);
   }
   
-  process.exit(0);
+  process.exit(EXIT_CODES.OK);
 }
 
-// Search for movies
-async function searchMovies(query, channel = null, limit = null, excludeChannels = null) {
-  const spinner = ora('Searching...').start();
-  debug('Starting search', { query, channel, limit, excludeChannels });
+// Run an index subcommand - these only touch local files
+async function runIndexCommand(cmd) {
+  const source = path.resolve(expandTildePath(cmd.file));
+  const spinner = ora(`Importing ${source}...`).start();
+  client.on('importProgress', (entries) => {
+    spinner.text = `Importing ${source}... ${entries} entries`;
+  });
   
   try {
-    // Prepare search query
-    const searchQuery = {
-      queries: [
-        {
-          fields: ['title', 'topic'],
-          query: query
-        }
-      ],
-      sortBy: 'timestamp',
-      sortOrder: 'desc',
-      future: false,
-      offset: 0
-    };
-    
-    // Add size limit if specified
-    if (limit) {
-      searchQuery.size = parseInt(limit, 10);
-    }
-    
-    // Add channel filter if provided
-    if (channel) {
-      searchQuery.queries.push({
-        fields: ['channel'],
-        query: channel
-      });
-      debug('Added channel filter', { channel });
-    }
-    
-    debug('Prepared search query', searchQuery);
-    
-    // Process excluded channels - we'll filter the results after searching
-    let excludedChannelsList = [];
-    if (excludeChannels) {
-      excludedChannelsList = excludeChannels.split(',').map(ch => ch.trim());
-      debug('Will exclude channels', { excludedChannels: excludedChannelsList });
-    }
-    
-    return new Promise((resolve, reject) => {
-      socket.emit('queryEntries', searchQuery, (response) => {
-        spinner.stop();
-        
-        if (response.err) {
-          console.error(chalk.red('Error searching:'), response.err);
-          debug('Search error response', response.err);
-          reject(response.err);
-          return;
-        }
-        
-        let results = response.result.results;
-        
-        // Filter out excluded channels if any were specified
-        if (excludedChannelsList.length > 0) {
-          const originalCount = results.length;
-          results = results.filter(item => !excludedChannelsList.includes(item.channel));
-          
-          const excludedCount = originalCount - results.length;
-          if (excludedCount > 0) {
-            console.log(chalk.yellow(`Excluded ${excludedCount} results from channels: ${excludedChannelsList.join(', ')}`));
-          }
-          
-          debug('Filtered excluded channels', { 
-            originalCount,
-            filteredCount: results.length,
-            excludedCount
-          });
-        }
-        
-        debug('Search results received', { 
-          count: results.length,
-          queryInfo: response.result.queryInfo
-        });
-        resolve(results);
-      });
-    });
+    const indexInfo = await client.importFilmliste(source);
+    spinner.succeed(chalk.green(`Imported ${indexInfo.entries} entries from ${indexInfo.channels.length} channels`));
   } catch (error) {
-    spinner.fail(chalk.red('Search failed'));
-    console.error(error);
-    debug('Exception during search', { error: error.message, stack: error.stack });
-    return [];
+    spinner.fail(chalk.red('Import failed'));
+    console.error(chalk.red('Error:'), error.message);
+    debug('Index import failed', { error: error.message, stack: error.stack });
+    process.exit(EXIT_CODES.ERROR);
   }
+  process.exit(EXIT_CODES.OK);
 }
 
-// Get video details by ID
-function getVideoDetails(id) {
-  debug('Getting video description', { id });
-  
-  return new Promise((resolve, reject) => {
-    socket.emit('getDescription', id, (description) => {
-      if (description.startsWith('error:') || description === 'document not found') {
-        debug('Video description error', { id, error: description });
-        reject(new Error(description));
-        return;
-      }
-      
-      debug('Video description received', { id, descriptionLength: description.length });
-      resolve(description);
-    });
-  });
+// Render a query syntax error with a caret under the offending column
+function formatQueryError(query, error) {
+  return `${error.message}\n  ${query}\n  ${' '.repeat(error.column - 1)}^`;
 }
 
-// Expand tilde in file paths (e.g., ~/Downloads -> /home/user/Downloads)
-function expandTildePath(pathWithTilde) {
-  if (typeof pathWithTilde !== 'string') return pathWithTilde;
+// Resolves to { results, queryInfo } - queryInfo.resultCount is the number of
+// entries the server returned for this page, before client-side filtering
+async function searchMovies(query, channel = null, limit = null, excludeChannels = null, offset = 0) {
+  // Syntax errors are thrown to the caller before the spinner starts
+  debug('Parsed query', parseQuery(query));
+  
+  const spinner = ora('Searching...').start();
+  debug('Starting search', { query, channel, limit, excludeChannels, offset });
+  
+  let search;
+  try {
+    search = await client.search(query, { channel, exclude: excludeChannels, limit, offset, ...resultFilters });
+  } catch (error) {
+    spinner.stop();
+    console.error(chalk.red('Error searching:'), error.message || error);
+    debug('Search error response', error);
+    throw error;
+  }
+  spinner.stop();
   
-  // Replace leading ~/ or ~ with home directory
-  if (pathWithTilde.startsWith('~/') || pathWithTilde === '~') {
-    return pathWithTilde.replace(/^~(?=$|\/|\\)/, os.homedir());
+  if (search.excludedCount > 0) {
+    info(chalk.yellow(`Excluded ${search.excludedCount} results from channels: ${parseChannelList(excludeChannels).join(', ')}`));
+  }
+  if (search.duplicateCount > 0) {
+    info(chalk.yellow(`Left out ${search.duplicateCount} duplicate results (same broadcast on another channel)`));
   }
   
-  return pathWithTilde;
+  return { results: search.results, queryInfo: search.queryInfo };
 }
 
-// Download a video
-async function downloadVideo(url, filename, video) {
-  // If -o/--output is explicitly provided by user, use that directly
-  const outputArg = options.output;
+// Autocomplete source for live search. Requests are debounced, and a response
+// is dropped if a newer keystroke has started another request in the meantime.
+function createLiveSearchSource(channel = null, excludeChannels = null) {
+  const excludedChannelsList = parseChannelList(excludeChannels);
+  let latestRequest = 0;
   
-  if (outputArg) {
-    // Use specified output path directly
-    debug('Using specified output path', { outputPath: outputArg });
-    
-    // Expand tilde if present
-    const expandedPath = expandTildePath(outputArg);
-    debug('Expanded path', { original: outputArg, expanded: expandedPath });
+  return async (answers, input = '') => {
+    const requestId = ++latestRequest;
+    const isStale = () => requestId !== latestRequest;
+    const text = (input || '').trim();
     
-    // If it's an absolute path, use it as is
-    if (path.isAbsolute(expandedPath)) {
-      filename = expandedPath;
-    } else {
-      // Otherwise treat as relative to current directory
-      filename = path.join(process.cwd(), expandedPath);
+    if (text.length < LIVE_SEARCH_MIN_LENGTH) {
+      return [];
     }
-  } else {
-    // No output path specified, ask for filename
-    const sanitizedTitle = video.title.replace(/[\\/:*?"<>|]/g, '_');
-    const defaultFilename = `${sanitizedTitle}-${video.channel}.mp4`;
     
-    debug('Prompting for filename', { defaultFilename });
-    
-    // Ask user for filename
-    const { customFilename } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'customFilename',
-        message: 'Enter filename (or press Enter for default):',
-        default: defaultFilename
-      }
-    ]);
+    await new Promise(resolve => setTimeout(resolve, LIVE_SEARCH_DEBOUNCE_MS));
+    if (isStale()) return [];
     
-    // Use custom filename (might be relative or absolute)
-    if (customFilename !== defaultFilename) {
-      // Expand tilde if present
-      const expandedPath = expandTildePath(customFilename);
-      debug('Expanded custom path', { original: customFilename, expanded: expandedPath });
-      
-      if (path.isAbsolute(expandedPath)) {
-        // Use absolute path as is
-        filename = expandedPath;
-      } else {
-        // Use relative path from current directory
-        filename = path.join(process.cwd(), expandedPath);
-      }
-    } else {
-      // Use default filename in current directory
-      filename = path.join(process.cwd(), defaultFilename);
+    let parsed;
+    try {
+      parsed = applySearchFilters(parseQuery(text), resultFilters);
+    } catch (error) {
+      return [new inquirer.Separator(chalk.red(error.message))];
     }
-  }
-  
-  console.log(chalk.green(`Downloading to: ${filename}`));
-  debug('Starting download', { url, filename });
-  
-  const spinner = ora('Starting download...').start();
-  
-  try {
-    // First, check if mpv is available for direct playback
-    debug('Checking for mpv availability');
-    const mpvProcess = spawn('which', ['mpv']);
-    let mpvAvailable = false;
-    
-    await new Promise((resolve) => {
-      mpvProcess.on('close', (code) => {
-        mpvAvailable = code === 0;
-        debug('mpv availability check', { available: mpvAvailable });
-        resolve();
-      });
-    });
     
-    // If mpv is available, ask if user wants to play or download
-    if (mpvAvailable) {
-      spinner.stop();
-      debug('mpv is available, prompting for action');
-      
-      const { action } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: 'Would you like to play or download?',
-          choices: ['Play', 'Download', 'Cancel']
-        }
-      ]);
-      
-      debug('User selected action', { action });
-      
-      if (action === 'Play') {
-        console.log(chalk.green('Playing video...'));
-        debug('Starting mpv player', { url });
-        const player = spawn('mpv', [url], { stdio: 'inherit' });
-        
-        return new Promise((resolve) => {
-          player.on('close', (code) => {
-            console.log(chalk.green(`Player exited with code ${code}`));
-            debug('mpv player closed', { exitCode: code });
-            resolve();
-          });
-        });
-      } else if (action === 'Cancel') {
-        console.log(chalk.yellow('Download cancelled'));
-        debug('Download cancelled by user');
-        return;
-      }
-      
-      spinner.start('Downloading...');
+    const searchQuery = buildSearchQuery(parsed, channel, LIVE_SEARCH_SIZE);
+    debug('Live search request', { requestId, searchQuery });
+    
+    let result;
+    try {
+      // Every keystroke is a new query - caching them would only fill the cache directory
+      result = await client.queryEntries(searchQuery, { cache: false });
+    } catch (error) {
+      if (isStale()) return [];
+      debug('Live search error', { requestId, error });
+      return [new inquirer.Separator(chalk.red(`Search failed: ${error.message || error}`))];
     }
     
-    // Perform the download
-    debug('Initiating fetch request', { url });
-    const response = await fetch(url);
-    const contentLength = response.headers.get('content-length');
-    const totalSize = parseInt(contentLength, 10);
-    
-    debug('Fetch response received', { 
-      status: response.status, 
-      contentType: response.headers.get('content-type'),
-      contentLength
-    });
+    if (isStale()) {
+      debug('Dropped stale live search response', { requestId, latestRequest });
+      return [];
+    }
     
-    if (!response.ok) {
-      spinner.fail(chalk.red(`Failed to download: ${response.statusText}`));
-      debug('Download failed', { status: response.status, statusText: response.statusText });
-      return;
+    let results = result.results
+      .filter(item => !excludedChannelsList.some(pattern => matchesChannelPattern(item.channel, pattern)))
+      .filter(item => matchesQueryFilters(item, parsed));
+    if (resultFilters.dedupe) {
+      results = dedupeResults(results, Array.isArray(resultFilters.dedupe) ? resultFilters.dedupe : []);
+    }
+    if (resultFilters.sort) {
+      results = sortResults(results, resultFilters.sort);
     }
     
-    const fileStream = createWriteStream(filename);
-    let downloadedBytes = 0;
-    let lastLoggedPercent = 0;
+    return [
+      { name: chalk.cyan(`Show all results for "${text}" (${result.queryInfo.totalResults})`), value: { searchQuery: text } },
+      new inquirer.Separator(),
+      ...results.map(video => ({
+        name: formatVideoChoice(video, `${formatDuration(video.duration)}, ${formatDate(video.timestamp).slice(0, 10)}`),
+        value: video
+      }))
+    ];
+  };
+}
+
+// Format a duration in seconds as m:ss
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// Format a unix timestamp as YYYY-MM-DD HH:MM (local time)
+function formatDate(timestamp) {
+  const date = new Date(timestamp * 1000);
+  const pad = n => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Format an age in seconds as minutes, hours or days
+function formatAge(seconds) {
+  if (seconds < 3600) return `${Math.max(1, Math.round(seconds / 60))} min`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)} h`;
+  return `${Math.round(seconds / 86400)} d`;
+}
+
+// Shorten text to a maximum width
+function truncate(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+// Table columns for search results
+const RESULT_TABLE_COLUMNS = [
+  { header: 'CHANNEL', value: video => video.channel },
+  { header: 'TOPIC', value: video => truncate(video.topic || '', 30) },
+  { header: 'TITLE', value: video => truncate(video.title || '', 60) },
+  { header: 'DATE', value: video => formatDate(video.timestamp) },
+  { header: 'DURATION', value: video => formatDuration(video.duration), align: 'right' },
+  { header: 'ID', value: video => video.id }
+];
+
+// Render search results (or other records, given their columns) as an aligned text table
+function formatTable(results, columns = RESULT_TABLE_COLUMNS) {
+  const rows = results.map(video => columns.map(column => String(column.value(video))));
+  const widths = columns.map((column, i) => Math.max(column.header.length, ...rows.map(row => row[i].length)));
+  const formatRow = cells => cells
+    .map((cell, i) => columns[i].align === 'right' ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+  
+  return [
+    chalk.bold(formatRow(columns.map(column => column.header))),
+    ...rows.map(formatRow)
+  ].join('\n') + '\n';
+}
+
+// Quote a value for CSV output (RFC 4180)
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render search results as CSV
+function formatCsv(results, columns = CSV_COLUMNS) {
+  const lines = [columns.join(',')];
+  results.forEach(video => {
+    lines.push(columns.map(column => csvField(video[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Render search results in the requested output format
+function formatResults(results, format, tableColumns = RESULT_TABLE_COLUMNS, csvColumns = CSV_COLUMNS) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(results, null, 2) + '\n';
+    case 'ndjson':
+      return results.map(video => JSON.stringify(video) + '\n').join('');
+    case 'csv':
+      return formatCsv(results, csvColumns);
+    default:
+      return formatTable(results, tableColumns);
+  }
+}
+
+// Escape text for XML content and attribute values
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// MIME type of a video URL for feed enclosures
+function getVideoMimeType(url) {
+  return /\.m3u8(\?|$)/i.test(url) ? 'application/vnd.apple.mpegurl' : 'video/mp4';
+}
+
+// Videos with the URL of the chosen quality as [{ video, url }] for playlists
+// and feeds; videos without a matching quality are left out
+async function getVideoItems(videos) {
+  const items = await Promise.all(videos.map(async video => ({ video, url: video[await chooseQuality(video, { quiet: true })] })));
+  return items.filter(item => item.url);
+}
+
+// XSPF playlist: location, title, channel as creator, topic as album, duration in ms
+function formatXspf(items, title) {
+  const tracks = items.map(({ video, url }) => [
+    '    <track>',
+    `      <location>${escapeXml(url)}</location>`,
+    `      <title>${escapeXml(video.title)}</title>`,
+    `      <creator>${escapeXml(video.channel)}</creator>`,
+    video.topic ? `      <album>${escapeXml(video.topic)}</album>` : null,
+    video.duration ? `      <duration>${video.duration * 1000}</duration>` : null,
+    video.description ? `      <annotation>${escapeXml(video.description)}</annotation>` : null,
+    video.url_website ? `      <info>${escapeXml(video.url_website)}</info>` : null,
+    `      <identifier>${escapeXml(`urn:mediathekview:${video.id}`)}</identifier>`,
+    '    </track>'
+  ].filter(line => line !== null).join('\n'));
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>'
+  ].join('\n') + '\n';
+}
+
+// RSS 2.0 feed with one enclosure per result, usable as a video podcast
+function formatRss(items, title) {
+  const entries = items.map(({ video, url }) => [
+    '    <item>',
+    `      <title>${escapeXml(`${video.topic ? `${video.topic} - ` : ''}${video.title}`)}</title>`,
+    video.url_website ? `      <link>${escapeXml(video.url_website)}</link>` : null,
+    `      <guid isPermaLink="false">${escapeXml(video.id)}</guid>`,
+    `      <pubDate>${new Date(video.timestamp * 1000).toUTCString()}</pubDate>`,
+    `      <category>${escapeXml(video.channel)}</category>`,
+    video.description ? `      <description>${escapeXml(video.description)}</description>` : null,
+    // The entry size belongs to the medium quality URL; 0 means unknown
+    `      <enclosure url="${escapeXml(url)}" length="${url === video.url_video && video.size ? video.size : 0}" type="${getVideoMimeType(url)}"/>`,
+    video.duration ? `      <itunes:duration>${video.duration}</itunes:duration>` : null,
+    '    </item>'
+  ].filter(line => line !== null).join('\n'));
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(options.server)}</link>`,
+    `    <description>${escapeXml(title)}</description>`,
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    ...entries,
+    '  </channel>',
+    '</rss>'
+  ].join('\n') + '\n';
+}
+
+// Atom feed with an enclosure link per result
+function formatAtom(items, title) {
+  const entries = items.map(({ video, url }) => {
+    const published = new Date(video.timestamp * 1000).toISOString();
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(`${video.topic ? `${video.topic} - ` : ''}${video.title}`)}</title>`,
+      `    <id>${escapeXml(`urn:mediathekview:${video.id}`)}</id>`,
+      `    <published>${published}</published>`,
+      `    <updated>${published}</updated>`,
+      `    <author><name>${escapeXml(video.channel)}</name></author>`,
+      video.url_website ? `    <link rel="alternate" href="${escapeXml(video.url_website)}"/>` : null,
+      `    <link rel="enclosure" href="${escapeXml(url)}" type="${getVideoMimeType(url)}"${url === video.url_video && video.size ? ` length="${video.size}"` : ''}/>`,
+      video.description ? `    <summary>${escapeXml(video.description)}</summary>` : null,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <id>${escapeXml(`urn:mediathekview:query:${options.server}:${options.query}`)}</id>`,
+    `  <updated>${new Date().toISOString()}</updated>`,
+    `  <link href="${escapeXml(options.server)}"/>`,
+    ...entries,
+    '</feed>'
+  ].join('\n') + '\n';
+}
+
+// Render search results as a playlist or feed (--export)
+async function formatExport(results, format) {
+  const items = await getVideoItems(results);
+  const title = `MediathekView: ${options.query}`;
+  
+  switch (format) {
+    case 'm3u':
+      return buildM3uPlaylist(items);
+    case 'xspf':
+      return formatXspf(items, title);
+    case 'rss':
+      return formatRss(items, title);
+    default:
+      return formatAtom(items, title);
+  }
+}
+
+// Describe the position of a result page, e.g. "Results 101-200 of 1234".
+// The range counts the server's results; shownCount is what is left after
+// exclusions, query filters and --dedupe.
+function describePage(offset, queryInfo, shownCount = queryInfo.resultCount) {
+  const total = queryInfo.totalResults ?? '?';
+  if (queryInfo.resultCount === 0) {
+    return `No results at offset ${offset} (${total} total)`;
+  }
+  const range = `Results ${offset + 1}-${offset + queryInfo.resultCount} of ${total}`;
+  const filteredCount = queryInfo.resultCount - shownCount;
+  return filteredCount > 0 ? `${range} (${shownCount} shown, ${filteredCount} filtered out)` : range;
+}
+
+// Write to stdout and exit once the output has been flushed
+function writeAndExit(output, code) {
+  process.stdout.write(output, () => process.exit(code));
+}
+
+// Non-interactive search - print results to stdout
+async function runSearchCommand() {
+  let results;
+  let queryInfo;
+  
+  // --page is translated into an offset based on the page size
+  let limit = options.limit;
+  let offset = options.offset || 0;
+  if (options.page) {
+    limit = limit || DEFAULT_PAGE_SIZE;
+    offset = (options.page - 1) * parseInt(limit, 10);
+  }
+  
+  try {
+    ({ results, queryInfo } = await searchMovies(options.query, options.channel, limit, options.exclude, offset));
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      console.error(chalk.red('Invalid query: ') + formatQueryError(options.query, error));
+      process.exit(EXIT_CODES.ERROR);
+    }
+    console.error(chalk.red('Search failed:'), error.message || error);
+    debug('Search command failed', { error: error.message || error });
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  debug('Writing search results', { count: results.length, format: options.export || options.format, out: options.out });
+  
+  if (queryInfo) {
+    info(chalk.cyan(describePage(offset, queryInfo, results.length)));
+  }
+  
+  const exitCode = results.length > 0 ? EXIT_CODES.OK : EXIT_CODES.NO_RESULTS;
+  let output;
+  if (options.export) {
+    output = await formatExport(results, options.export);
+  } else if (results.length > 0 || options.format !== 'table') {
+    // Machine-readable formats still get a valid (empty) document
+    output = formatResults(results, options.format);
+  } else {
+    output = '';
+  }
+  
+  if (results.length === 0) {
+    info(chalk.yellow('No results found.'));
+  }
+  
+  if (options.out) {
+    const outFile = path.resolve(expandTildePath(options.out));
+    try {
+      fs.mkdirSync(path.dirname(outFile), { recursive: true });
+      fs.writeFileSync(outFile, output, 'utf8');
+    } catch (error) {
+      console.error(chalk.red(`Could not write ${outFile}:`), error.message);
+      process.exit(EXIT_CODES.ERROR);
+    }
+    info(chalk.green(`Wrote ${results.length} results to ${outFile}`));
+    process.exit(exitCode);
+  }
+  
+  writeAndExit(output, exitCode);
+}
+
+// Subscriptions from [subscription.<name>] sections of the config file
+function getSubscriptions() {
+  const sections = configDefaults.subscription || {};
+  return Object.fromEntries(Object.entries(sections).map(([name, section]) => [name, {
+    query: section.query || '',
+    channel: section.channel || null,
+    exclude: section.exclude || null,
+    minDuration: section.min_duration || 0,
+    quality: section.quality || null,
+    template: section.template || null
+  }]));
+}
+
+// Load the sync state: { subscriptions: { <name>: { ids: [...], lastSync } } }
+function loadSyncState() {
+  try {
+    if (fs.existsSync(SYNC_STATE_FILE)) {
+      const state = JSON.parse(fs.readFileSync(SYNC_STATE_FILE, 'utf8'));
+      return { subscriptions: {}, ...state };
+    }
+  } catch (err) {
+    console.error(chalk.yellow(`Warning: Could not read sync state ${SYNC_STATE_FILE}`));
+    console.error(err.message);
+  }
+  return { subscriptions: {} };
+}
+
+// Save the sync state (written to a temporary file first, so a crash can't truncate it)
+function saveSyncState(state) {
+  fs.mkdirSync(path.dirname(SYNC_STATE_FILE), { recursive: true });
+  const tempFile = `${SYNC_STATE_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tempFile, SYNC_STATE_FILE);
+}
+
+// A duration in seconds as written in the config file, e.g. 80m or 90s
+function formatDurationSetting(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60}m` : `${seconds}s`;
+}
+
+// Add a [subscription.<name>] section to the config file
+function addSubscription(cmd) {
+  const name = cmd.subscription;
+  
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error('Subscription names may only contain letters, digits, "_" and "-"');
+  }
+  if (getSubscriptions()[name]) {
+    throw new Error(`Subscription "${name}" already exists`);
+  }
+  
+  try {
+    parseQuery(cmd.query);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      throw new Error(`Invalid query: ${formatQueryError(cmd.query, error)}`);
+    }
+    throw error;
+  }
+  
+  // Only options given on this command line are saved, not config defaults
+  const fromCli = key => program.getOptionValueSource(key) === 'cli' ? options[key] : undefined;
+  const fields = {
+    query: cmd.query,
+    channel: typeof fromCli('channel') === 'string' ? options.channel : undefined,
+    exclude: fromCli('exclude'),
+    min_duration: fromCli('minDuration') && formatDurationSetting(options.minDuration),
+    quality: fromCli('quality'),
+    template: fromCli('template')
+  };
+  
+  if (fields.quality) {
+    parseQualityPreference(fields.quality);
+  }
+  
+  const lines = [`[subscription.${name}]`];
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      lines.push(`${key} = ${safe(String(value))}`);
+    }
+  });
+  
+  const existing = fs.existsSync(CONFIG_FILE) ? fs.readFileSync(CONFIG_FILE, 'utf8') : '';
+  const separator = existing.length === 0 || existing.endsWith('\n\n') ? '' : existing.endsWith('\n') ? '\n' : '\n\n';
+  fs.appendFileSync(CONFIG_FILE, `${separator}${lines.join('\n')}\n`, 'utf8');
+  
+  console.log(chalk.green(`Added subscription "${name}" to ${CONFIG_FILE}`));
+  debug('Subscription added', fields);
+}
+
+// Remove a [subscription.<name>] section from the config file, keeping everything else
+function removeSubscription(name) {
+  if (!getSubscriptions()[name]) {
+    throw new Error(`No subscription named "${name}"`);
+  }
+  
+  const lines = fs.readFileSync(CONFIG_FILE, 'utf8').split('\n');
+  const header = new RegExp(`^\\s*\\[subscription\\.${name}\\]\\s*$`);
+  const start = lines.findIndex(line => header.test(line));
+  let end = lines.findIndex((line, index) => index > start && /^\s*\[/.test(line));
+  if (end === -1) end = lines.length;
+  
+  lines.splice(start, end - start);
+  fs.writeFileSync(CONFIG_FILE, lines.join('\n').replace(/\n{3,}/g, '\n\n'), 'utf8');
+  
+  // Forget what was fetched, so a new subscription with this name starts fresh
+  const state = loadSyncState();
+  if (state.subscriptions[name]) {
+    delete state.subscriptions[name];
+    saveSyncState(state);
+  }
+  
+  console.log(chalk.green(`Removed subscription "${name}"`));
+}
+
+// Print all subscriptions with their sync status
+function listSubscriptions() {
+  const subscriptions = Object.entries(getSubscriptions());
+  const state = loadSyncState();
+  
+  if (subscriptions.length === 0) {
+    console.log(chalk.yellow('No subscriptions. Add one with: mediathekview subscribe add <name> <query>'));
+    return;
+  }
+  
+  subscriptions.forEach(([name, sub]) => {
+    const synced = state.subscriptions[name];
+    console.log(chalk.bold(name) + chalk.gray(`  ${sub.query}`));
+    
+    const details = [
+      sub.channel && `channel: ${sub.channel}`,
+      sub.exclude && `exclude: ${sub.exclude}`,
+      sub.minDuration && `min duration: ${formatDurationSetting(sub.minDuration)}`,
+      sub.quality && `quality: ${sub.quality}`,
+      sub.template && `template: ${sub.template}`
+    ].filter(Boolean);
+    if (details.length > 0) {
+      console.log(`  ${details.join(', ')}`);
+    }
+    
+    console.log(chalk.cyan(synced
+      ? `  ${synced.ids.length} entries fetched, last sync ${new Date(synced.lastSync).toLocaleString()}`
+      : '  never synced'));
+  });
+}
+
+// Run a subscribe subcommand - these only touch local files
+function runSubscribeCommand(cmd) {
+  try {
+    if (cmd.name === 'subscribe-add') {
+      addSubscription(cmd);
+    } else if (cmd.name === 'subscribe-remove') {
+      removeSubscription(cmd.subscription);
+    } else {
+      listSubscriptions();
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  process.exit(EXIT_CODES.OK);
+}
+
+// Search every subscription and download entries that are not in the sync state yet
+async function runSync(cmd) {
+  const subscriptions = getSubscriptions();
+  let names = Object.keys(subscriptions);
+  
+  if (cmd.names.length > 0) {
+    const unknown = cmd.names.filter(name => !subscriptions[name]);
+    if (unknown.length > 0) {
+      console.error(chalk.red(`Unknown subscription: ${unknown.join(', ')}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+    names = cmd.names;
+  }
+  
+  if (names.length === 0) {
+    console.log(chalk.yellow('No subscriptions. Add one with: mediathekview subscribe add <name> <query>'));
+    process.exit(EXIT_CODES.OK);
+  }
+  
+  const state = loadSyncState();
+  const jobs = parseInt(options.jobs, 10) || 1;
+  let failures = 0;
+  let downloadCount = 0;
+  
+  for (const name of names) {
+    const sub = subscriptions[name];
+    console.log('\n' + chalk.bold(`${name}: ${sub.query}`));
+    debug('Syncing subscription', { name, ...sub });
+    
+    let results;
+    try {
+      // A quality edited into the config file by hand is only checked here
+      parseQualityPreference(sub.quality || options.quality);
+
+      ({ results } = await searchMovies(sub.query, sub.channel, SYNC_SEARCH_LIMIT, sub.exclude));
+    } catch (error) {
+      console.error(chalk.red(`Search for "${name}" failed:`), error.message || error);
+      failures++;
+      continue;
+    }
+    
+    if (sub.minDuration) {
+      results = results.filter(video => video.duration >= sub.minDuration);
+    }
+    
+    const synced = state.subscriptions[name] || { ids: [], lastSync: null };
+    const seen = new Set(synced.ids);
+    let fresh = results.filter(video => !seen.has(video.id));
+    debug('New entries for subscription', { name, results: results.length, fresh: fresh.length });
+    
+    // Already downloaded (e.g. the same broadcast on another channel) - count as fetched
+    const downloaded = options.force ? [] : fresh.filter(video => findInHistory(video));
+    if (downloaded.length > 0) {
+      console.log(chalk.cyan(`Skipping ${downloaded.length} entries found in the download history`));
+      synced.ids.push(...downloaded.map(video => video.id));
+      fresh = fresh.filter(video => !downloaded.includes(video));
+    }
+    
+    if (fresh.length === 0) {
+      console.log(chalk.green('No new entries'));
+    } else if (cmd.dryRun) {
+      console.log(chalk.cyan(`${fresh.length} new entries (dry run, nothing downloaded):`));
+      process.stdout.write(formatTable(fresh));
+    } else if (cmd.markSeen) {
+      synced.ids.push(...fresh.map(video => video.id));
+      console.log(chalk.green(`Marked ${fresh.length} entries as fetched`));
+    } else {
+      const items = await Promise.all(fresh.map(async (video) => {
+        const quality = await chooseQuality(video, { quiet: true, preference: sub.quality || options.quality });
+        return {
+          video,
+          quality,
+          url: quality ? video[quality] : null,
+          filename: getDefaultDownloadPath(video, quality, sub.template || options.template)
+        };
+      }));
+      
+      const { succeeded, skipped, failed } = await runDownloadQueue(items, jobs);
+      synced.ids.push(...succeeded.concat(skipped).map(item => item.video.id));
+      downloadCount += succeeded.length;
+      failures += failed.length;
+    }
+    
+    // A dry run leaves the sync state as it was
+    if (cmd.dryRun) continue;
+    
+    synced.lastSync = new Date().toISOString();
+    state.subscriptions[name] = synced;
+    saveSyncState(state);
+  }
+  
+  if (!cmd.dryRun) {
+    await runEventHooks('sync_finished', { subscriptions: names.join(','), downloaded: downloadCount, failed: failures });
+  }
+  
+  client.close();
+  process.exit(failures > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK);
+}
+
+// Download history, loaded once per run:
+// { downloads: [{ id, title, topic, channel, duration, timestamp, url, path, size, date }] }
+let downloadHistory = null;
+function loadHistory() {
+  if (downloadHistory) return downloadHistory;
+  
+  downloadHistory = { downloads: [] };
+  try {
+    if (fs.existsSync(HISTORY_FILE)) {
+      downloadHistory = { downloads: [], ...JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8')) };
+    }
+  } catch (err) {
+    console.error(chalk.yellow(`Warning: Could not read download history ${HISTORY_FILE}`));
+    console.error(err.message);
+  }
+  return downloadHistory;
+}
+
+// Save the download history (written to a temporary file first, like the sync state)
+function saveHistory(history) {
+  fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+  const tempFile = `${HISTORY_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(history, null, 2), 'utf8');
+  fs.renameSync(tempFile, HISTORY_FILE);
+  downloadHistory = history;
+}
+
+// Add a completed download to the history - a failed write only warns
+function recordDownload(video, url, filename, size) {
+  const history = loadHistory();
+  const entry = {
+    id: video.id,
+    title: video.title,
+    topic: video.topic,
+    channel: video.channel,
+    duration: video.duration,
+    timestamp: video.timestamp,
+    url,
+    path: filename,
+    size,
+    date: new Date().toISOString()
+  };
+  
+  history.downloads.push(entry);
+  debug('Recording download in history', entry);
+  
+  try {
+    saveHistory(history);
+  } catch (error) {
+    console.error(chalk.yellow(`Warning: Could not update download history ${HISTORY_FILE}:`), error.message);
+  }
+}
+
+// Most recent history entry for the video or the same broadcast aired at the
+// same time on another channel
+function findInHistory(video) {
+  const { downloads } = loadHistory();
+  for (let i = downloads.length - 1; i >= 0; i--) {
+    if (downloads[i].id === video.id || isSameAiring(downloads[i], video)) {
+      return downloads[i];
+    }
+  }
+  return null;
+}
+
+// Download time of a history entry (stored as ISO string, formatDate takes seconds)
+function formatHistoryDate(entry) {
+  return formatDate(new Date(entry.date).getTime() / 1000);
+}
+
+// One-line description of an earlier download of the video
+function describeHistoryEntry(entry, video) {
+  const sameBroadcast = entry.id !== video.id ? ` (same broadcast on ${entry.channel})` : '';
+  return `Already downloaded on ${formatHistoryDate(entry)}${sameBroadcast}: ${entry.path}`;
+}
+
+// Ask before downloading a video again. Without a terminal the download is
+// skipped unless --force is given.
+async function confirmRedownload(video) {
+  const previous = findInHistory(video);
+  if (!previous || options.force) return true;
+  
+  console.log(chalk.yellow(describeHistoryEntry(previous, video)));
+  debug('Video found in download history', { id: video.id, previous });
+  
+  if (!canPrompt) {
+    console.log(chalk.yellow('Skipping download (use --force to download it again)'));
+    return false;
+  }
+  
+  const { downloadAgain } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'downloadAgain',
+      message: 'Download it again?',
+      default: false
+    }
+  ]);
+  return downloadAgain;
+}
+
+// Label for a video in result lists; videos in the download history are marked
+function formatVideoChoice(video, details = formatDuration(video.duration)) {
+  const marker = findInHistory(video) ? chalk.green('✔ ') : '';
+  return `${marker}${video.channel} - ${video.title} (${details})`;
+}
+
+// Table columns for history listings
+const HISTORY_TABLE_COLUMNS = [
+  { header: 'DOWNLOADED', value: formatHistoryDate },
+  { header: 'CHANNEL', value: entry => entry.channel },
+  { header: 'TITLE', value: entry => truncate(entry.title || '', 50) },
+  { header: 'SIZE', value: entry => entry.size ? formatMegabytes(entry.size) : '', align: 'right' },
+  { header: 'PATH', value: entry => entry.path }
+];
+
+// Render history entries in the output format, newest first
+function formatHistory(entries) {
+  if (entries.length === 0 && options.format === 'table') {
+    return chalk.yellow('No downloads found in the history') + '\n';
+  }
+  return formatResults(entries.slice().reverse(), options.format, HISTORY_TABLE_COLUMNS, HISTORY_CSV_COLUMNS);
+}
+
+// Remove history entries by age and/or missing file
+function pruneHistory(cmd) {
+  if (cmd.olderThan === undefined && !cmd.missing) {
+    throw new Error('Specify --older-than <days> and/or --missing');
+  }
+  
+  const history = loadHistory();
+  const cutoff = cmd.olderThan !== undefined ? Date.now() - cmd.olderThan * 86400000 : null;
+  const kept = history.downloads.filter(entry => {
+    if (cutoff !== null && new Date(entry.date).getTime() < cutoff) return false;
+    if (cmd.missing && !fs.existsSync(entry.path)) return false;
+    return true;
+  });
+  
+  const removed = history.downloads.length - kept.length;
+  if (removed > 0) {
+    saveHistory({ ...history, downloads: kept });
+  }
+  console.log(chalk.green(`Removed ${removed} of ${history.downloads.length} history entries`));
+}
+
+// Run a history subcommand - these only touch local files
+function runHistoryCommand(cmd) {
+  let output = '';
+  
+  try {
+    const { downloads } = loadHistory();
+    
+    if (cmd.name === 'history-prune') {
+      pruneHistory(cmd);
+    } else if (cmd.name === 'history-search') {
+      const text = cmd.text.toLowerCase();
+      output = formatHistory(downloads.filter(entry => [entry.title, entry.topic, entry.channel, entry.id, entry.path]
+        .some(value => (value || '').toLowerCase().includes(text))));
+    } else {
+      output = formatHistory(cmd.last ? downloads.slice(-cmd.last) : downloads);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  writeAndExit(output, EXIT_CODES.OK);
+}
+
+// Table columns for cache statistics
+const CACHE_TABLE_COLUMNS = [
+  { header: 'TYPE', value: stats => stats.type },
+  { header: 'ENTRIES', value: stats => stats.entries, align: 'right' },
+  { header: 'EXPIRED', value: stats => stats.expired, align: 'right' },
+  { header: 'SIZE', value: stats => formatMegabytes(stats.bytes), align: 'right' },
+  { header: 'LIFETIME', value: stats => formatAge(stats.ttl), align: 'right' },
+  { header: 'OLDEST', value: stats => stats.oldest ? formatDate(new Date(stats.oldest).getTime() / 1000) : '' }
+];
+
+// Columns written by `cache stats --format csv`
+const CACHE_CSV_COLUMNS = ['type', 'entries', 'expired', 'bytes', 'ttl', 'oldest', 'newest'];
+
+// Run a cache subcommand - these only touch local files
+function runCacheCommand(cmd) {
+  let output = '';
+  
+  try {
+    if (cmd.name === 'cache-clear') {
+      const removed = clearCache(CACHE_DIR, { expiredOnly: cmd.expired, ttls: cacheTtls });
+      console.log(chalk.green(`Removed ${removed} ${cmd.expired ? 'expired ' : ''}cache entries from ${CACHE_DIR}`));
+    } else {
+      output = formatResults(getCacheStats(CACHE_DIR, { ttls: cacheTtls }), options.format, CACHE_TABLE_COLUMNS, CACHE_CSV_COLUMNS);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  writeAndExit(output, EXIT_CODES.OK);
+}
+
+// Dotted key of a config file entry, e.g. "profile.kids.output"
+function getConfigEntryKey(entry) {
+  return entry.section ? `${entry.section}.${entry.key}` : entry.key;
+}
+
+// Print problems found in the config file, returns whether there were any
+function reportConfigErrors(errors) {
+  errors.forEach(error => console.error(chalk.red(`Error: ${error.message}`)));
+  return errors.length > 0;
+}
+
+// Open the config file in $VISUAL or $EDITOR and check it once the editor is closed
+function editConfigFile() {
+  createDefaultConfig();
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const [editorCommand, ...editorArgs] = splitArguments(editor);
+  debug('Starting editor', { editor, file: CONFIG_FILE });
+
+  const child = spawn(editorCommand, [...editorArgs, CONFIG_FILE], { stdio: 'inherit' });
+  child.on('error', (error) => {
+    console.error(chalk.red(`Error: Could not start editor "${editor}":`), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  });
+  child.on('close', (code) => {
+    if (code !== 0) {
+      console.error(chalk.red(`Error: Editor exited with code ${code}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+    if (reportConfigErrors(loadConfigFile(CONFIG_FILE).errors)) {
+      console.error('Run "mediathekview config edit" again to fix these.');
+      process.exit(EXIT_CODES.ERROR);
+    }
+    console.log(chalk.green(`Saved ${CONFIG_FILE}, no problems found`));
+    process.exit(EXIT_CODES.OK);
+  });
+}
+
+// Run a config subcommand - these work even if the config file has errors
+function runConfigCommand(cmd) {
+  if (cmd.name === 'config-edit') {
+    editConfigFile();
+    return;
+  }
+
+  let output = '';
+  let exitCode = EXIT_CODES.OK;
+
+  try {
+    if (cmd.name === 'config-path') {
+      output = `${CONFIG_FILE}\n`;
+    } else if (cmd.name === 'config-get') {
+      const { parse } = resolveConfigKey(cmd.key);
+      const entries = fs.existsSync(CONFIG_FILE) ? loadConfigFile(CONFIG_FILE).entries : [];
+      const matching = entries.filter(item => getConfigEntryKey(item) === cmd.key);
+      if (matching.length === 0) {
+        throw new Error(`${cmd.key} is not set in ${CONFIG_FILE}`);
+      }
+      // Settings given several times (hooks) print every value, others the one in effect
+      output = (parse.list ? matching : matching.slice(-1)).map(entry => `${entry.value}\n`).join('');
+    } else if (cmd.name === 'config-set') {
+      setConfigValue(CONFIG_FILE, cmd.key, cmd.value);
+      const verb = resolveConfigKey(cmd.key).parse.list ? 'Added' : 'Set';
+      console.log(chalk.green(`${verb} ${cmd.key} = ${cmd.value} in ${CONFIG_FILE}`));
+      debug('Config value set', { key: cmd.key, value: cmd.value });
+    } else if (cmd.name === 'config-unset') {
+      if (!unsetConfigValue(CONFIG_FILE, cmd.key)) {
+        throw new Error(`${cmd.key} is not set in ${CONFIG_FILE}`);
+      }
+      console.log(chalk.green(`Removed ${cmd.key} from ${CONFIG_FILE}`));
+    } else {
+      const { entries, errors } = loadConfigFile(CONFIG_FILE);
+      output = entries.map(entry => `${getConfigEntryKey(entry)} = ${entry.value}\n`).join('');
+      if (reportConfigErrors(errors)) {
+        exitCode = EXIT_CODES.ERROR;
+      }
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+
+  writeAndExit(output, exitCode);
+}
+
+// Get video details by ID
+async function getVideoDetails(id) {
+  debug('Getting video description', { id });
+  const description = await client.getDescription(id);
+  debug('Video description received', { id, descriptionLength: description.length });
+  return description;
+}
+
+// Results of checking the video URLs of a video, fetched once per video and run
+const qualityProbes = new Map();
+function getQualityProbes(video) {
+  if (!qualityProbes.has(video.id)) {
+    qualityProbes.set(video.id, client.probeQualities(video));
+  }
+  return qualityProbes.get(video.id);
+}
+
+// Size and availability of a checked video URL, e.g. "245.10 MB" or "unavailable: HTTP 404"
+function describeQualityProbe(probe) {
+  if (!probe.available) {
+    return probe.status ? `unavailable: HTTP ${probe.status}` : `unreachable: ${probe.error}`;
+  }
+  if (probe.size === null) return 'size unknown';
+  return maxSize !== null && probe.size > maxSize ? `${formatMegabytes(probe.size)}, over --max-size` : formatMegabytes(probe.size);
+}
+
+// Choose the video URL field (e.g. 'url_video_hd') for a video: the first
+// quality of the preference (--quality, or a subscription's quality) the video
+// has. With --max-size the URLs are checked first and qualities that are
+// larger or unreachable are skipped. Resolves to undefined if none fits.
+async function chooseQuality(video, { quiet = false, preference = options.quality } = {}) {
+  const order = parseQualityPreference(preference);
+  let candidates = order.map(key => QUALITIES.find(q => q.key === key)).filter(q => video[q.value]);
+  
+  if (maxSize !== null && candidates.length > 0) {
+    const probes = await getQualityProbes(video);
+    candidates = candidates.filter((q) => {
+      const probe = probes.find(p => p.quality === q.key);
+      return probe.available && (probe.size === null || probe.size <= maxSize);
+    });
+  }
+  
+  const chosen = candidates[0];
+  if (!chosen) {
+    if (!quiet) {
+      console.log(chalk.yellow(`No video in quality ${order.join(', ')}${maxSize !== null ? ` up to ${formatMegabytes(maxSize)}` : ''}`));
+    }
+    debug('No quality matches', { id: video.id, order, maxSize });
+    return undefined;
+  }
+  
+  if (!quiet) console.log(chalk.cyan(`Selected quality: ${chosen.name}`));
+  debug('Selected quality', { id: video.id, quality: chosen.key, url: video[chosen.value] });
+  return chosen.value;
+}
+
+// Let the user choose a quality from a list showing the size and availability
+// of each URL. Resolves to the URL field, or to current if none is available.
+async function promptQuality(video, current) {
+  const spinner = ora('Checking video qualities...').start();
+  const probes = await getQualityProbes(video);
+  spinner.stop();
+  
+  const choices = probes.map((probe) => {
+    const quality = QUALITIES.find(q => q.key === probe.quality);
+    const description = describeQualityProbe(probe);
+    return probe.available
+      ? { name: `${quality.name} - ${description}`, value: quality.value }
+      : { name: quality.name, value: quality.value, disabled: description };
+  });
+  
+  if (!choices.some(choice => !choice.disabled)) {
+    choices.forEach(choice => console.log(chalk.yellow(`${choice.name}: ${choice.disabled}`)));
+    return current;
+  }
+  
+  const { quality } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'quality',
+      message: 'Select quality:',
+      choices,
+      default: choices.find(choice => choice.value === current && !choice.disabled) ? current : undefined
+    }
+  ]);
+  debug('User selected quality', { quality });
+  return quality;
+}
+
+// Default argument templates per player, matched by executable name.
+// playlistArgs: how to hand over an M3U file; null plays videos one by one.
+const PLAYER_PRESETS = {
+  mpv: {
+    args: '--force-media-title={title} --start={start} --sub-file={subtitle} {url}',
+    playlistArgs: '--playlist={playlist}'
+  },
+  vlc: {
+    args: '--meta-title={title} --start-time={start} --sub-file={subtitle} {url}',
+    playlistArgs: '{playlist}'
+  },
+  ffplay: {
+    args: '-autoexit -window_title {title} -ss {start} {url}',
+    playlistArgs: null
+  }
+};
+
+// Preset for a player executable (path and .exe are ignored, cvlc is vlc)
+function getPlayerPreset(command) {
+  const name = path.parse(command).name.toLowerCase();
+  return PLAYER_PRESETS[name === 'cvlc' ? 'vlc' : name] || null;
+}
+
+// Check whether a command can be run: a path that exists or a name on the PATH
+function isCommandAvailable(command) {
+  if (command.includes('/') || command.includes('\\')) {
+    return Promise.resolve(fs.existsSync(command));
+  }
+  return new Promise((resolve) => {
+    const lookup = spawn(process.platform === 'win32' ? 'where' : 'which', [command], { stdio: 'ignore' });
+    lookup.on('error', () => resolve(false));
+    lookup.on('close', (code) => resolve(code === 0));
+  });
+}
+
+// The player from the [player] config section, or the first of mpv, vlc and
+// ffplay that is installed. Resolves to null if there is none (checked once per run).
+let playerLookup = null;
+function findPlayer() {
+  if (!playerLookup) {
+    playerLookup = (async () => {
+      const config = configDefaults.player || {};
+      const candidates = config.command ? [config.command] : Object.keys(PLAYER_PRESETS);
+      
+      for (const command of candidates) {
+        if (await isCommandAvailable(command)) {
+          const preset = getPlayerPreset(command) || { args: '{url}', playlistArgs: null };
+          const player = {
+            command,
+            args: config.args || preset.args,
+            playlistArgs: config.playlist_args || preset.playlistArgs,
+            start: playerStart
+          };
+          debug('Player found', player);
+          return player;
+        }
+        debug('Player not available', { command });
+      }
+      return null;
+    })();
+  }
+  return playerLookup;
+}
+
+// Message for a missing player
+function describeMissingPlayer() {
+  const command = configDefaults.player?.command;
+  if (command) {
+    return `Player "${command}" not found (command in the [player] section of ${CONFIG_FILE})`;
+  }
+  return `No player found. Install mpv, vlc or ffplay, or set command in the [player] section of ${CONFIG_FILE}`;
+}
+
+// Split an argument template into arguments; quotes keep spaces together
+function splitArguments(template) {
+  return [...template.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+// Fill in an argument template. Arguments whose placeholders are all empty
+// (e.g. --sub-file={subtitle} without subtitles) are left out.
+function buildPlayerArgs(template, values) {
+  return splitArguments(template).flatMap((arg) => {
+    const names = [...arg.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    if (names.length > 0 && names.every(name => !values[name])) return [];
+    return [arg.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)];
+  });
+}
+
+// Run the player, resolves to its exit code
+function runPlayer(player, args) {
+  debug('Starting player', { command: player.command, args });
+  const child = spawn(player.command, args, { stdio: 'inherit' });
+  
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code) => {
+      debug('Player closed', { exitCode: code });
+      resolve(code);
+    });
+  });
+}
+
+// Title shown by the player
+function getPlaybackTitle(video) {
+  return `${video.channel} - ${video.title}`;
+}
+
+// Save the subtitles of the videos as SRT files in dir (players can't read
+// the TTML most broadcasters use). Resolves to one path (or null) per video.
+async function prepareSubtitles(videos, dir) {
+  return Promise.all(videos.map(async (video, index) => {
+    if (!video.url_subtitle) return null;
+    try {
+      return await downloadSubtitles(video, path.join(dir, `${index + 1}.srt`));
+    } catch (error) {
+      debug('Subtitles for playback failed', { id: video.id, error: error.message });
+      return null;
+    }
+  }));
+}
+
+// M3U playlist for the videos; subtitles (local files) are added as VLC options
+function buildM3uPlaylist(items, subtitles = []) {
+  const lines = ['#EXTM3U'];
+  items.forEach(({ video, url }, index) => {
+    lines.push(`#EXTINF:${video.duration || -1},${getPlaybackTitle(video)}`);
+    if (subtitles[index]) {
+      lines.push(`#EXTVLCOPT:sub-file=${subtitles[index]}`);
+    }
+    lines.push(url);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Play videos with the configured player, resolves to false if it failed.
+// items: [{ video, url }]. Several videos are handed over as a temporary M3U
+// playlist, or played one after another if the player has no playlist arguments.
+async function playVideos(items) {
+  const player = await findPlayer();
+  if (!player) {
+    console.error(chalk.red(describeMissingPlayer()));
+    return false;
+  }
+  
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mediathekview-'));
+  try {
+    const subtitles = await prepareSubtitles(items.map(item => item.video), tempDir);
+    let exitCodes;
+    
+    if (items.length > 1 && player.playlistArgs) {
+      const playlistFile = path.join(tempDir, 'playlist.m3u');
+      fs.writeFileSync(playlistFile, buildM3uPlaylist(items, subtitles), 'utf8');
+      console.log(chalk.green(`Playing ${items.length} videos...`));
+      exitCodes = [await runPlayer(player, buildPlayerArgs(player.playlistArgs, { playlist: playlistFile, start: String(player.start) }))];
+    } else {
+      exitCodes = [];
+      for (const [index, { video, url }] of items.entries()) {
+        console.log(chalk.green(`Playing: ${video.title}`));
+        exitCodes.push(await runPlayer(player, buildPlayerArgs(player.args, {
+          url,
+          title: getPlaybackTitle(video),
+          start: String(player.start),
+          subtitle: subtitles[index]
+        })));
+      }
+    }
+    
+    const failed = exitCodes.find(code => code !== 0);
+    console.log(chalk.green(`Player exited with code ${failed ?? 0}`));
+    return failed === undefined;
+  } catch (error) {
+    console.error(chalk.red(`Could not start player (${player.command}):`), error.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Fetch videos by ID and play them in the preferred quality (--play)
+async function playVideosById(ids) {
+  const spinner = ora(`Fetching video details for ${ids.length === 1 ? `ID: ${ids[0]}` : `${ids.length} IDs`}`).start();
+  let videos;
+  try {
+    const entries = await client.getEntries(ids);
+    // Keep the order of the command line
+    videos = ids.map(id => entries.find(entry => entry.id === id)).filter(Boolean);
+  } catch (error) {
+    spinner.fail(chalk.red('Error fetching video details'));
+    console.error(error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const missing = ids.filter(id => !videos.some(video => video.id === id));
+  if (videos.length === 0) {
+    spinner.fail(chalk.red(`No video found with ID: ${missing.join(', ')}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  spinner.succeed(chalk.green('Video details fetched'));
+  if (missing.length > 0) {
+    console.error(chalk.yellow(`No video found with ID: ${missing.join(', ')}`));
+  }
+  
+  const items = await getVideoItems(videos);
+  if (items.length === 0) {
+    console.error(chalk.red('No video URL available'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const played = await playVideos(items);
+  client.close();
+  process.exit(played ? EXIT_CODES.OK : EXIT_CODES.ERROR);
+}
+
+// Make text safe as a file or directory name on Windows, macOS and Linux
+function sanitizePathSegment(text) {
+  let segment = String(text)
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // Windows drops trailing dots and spaces
+    .replace(/[. ]+$/, '');
+  
+  if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(segment)) {
+    segment = `_${segment}`;
+  }
+  
+  // Most filesystems limit names to 255 bytes - leave room for suffixes
+  while (Buffer.byteLength(segment) > 200) {
+    segment = segment.slice(0, -1);
+  }
+  
+  return segment || '_';
+}
+
+// Format a unix timestamp with YYYY, YY, MM, DD, HH, mm and ss tokens
+function formatTemplateDate(timestamp, format) {
+  const date = new Date(timestamp * 1000);
+  const pad = n => n.toString().padStart(2, '0');
+  const tokens = {
+    YYYY: date.getFullYear().toString(),
+    YY: date.getFullYear().toString().slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// Template for a preset name (see TEMPLATE_PRESETS), other templates are returned as is
+function resolveFilenameTemplate(template) {
+  return TEMPLATE_PRESETS[template] || template;
+}
+
+// Check a filename template for unknown placeholders, returns an error message or null
+function validateFilenameTemplate(template) {
+  template = resolveFilenameTemplate(template);
+  const unknown = [...template.matchAll(/\{(\w+)(?::[^}]*)?\}/g)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+  
+  if (unknown.length > 0) {
+    return `Unknown placeholder {${unknown[0]}} in filename template "${template}" (available: ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`;
+  }
+  return null;
+}
+
+// Render a filename template for a video. "/" in the template separates
+// directories; placeholder values are sanitized so they can't add any.
+// .mp4 is appended unless the template ends in a video extension.
+function renderFilenameTemplate(template, video, quality) {
+  const values = {
+    channel: () => video.channel,
+    topic: () => video.topic,
+    title: () => video.title,
+    date: format => formatTemplateDate(video.timestamp, format || 'YYYY-MM-DD'),
+    duration: () => Math.round(video.duration / 60),
+    quality: () => QUALITIES.find(q => q.value === quality)?.key || '',
+    id: () => video.id
+  };
+  
+  const segments = template.split(/[\\/]+/).filter(Boolean).map(part => {
+    const rendered = part.replace(/\{(\w+)(?::([^}]*))?\}/g, (match, name, format) =>
+      values[name] ? String(values[name](format) ?? '').replace(/[\\/]/g, '_') : match
+    );
+    return sanitizePathSegment(rendered);
+  });
+  
+  let filename = segments.join(path.sep);
+  if (!/\.(mp4|ts|mkv|webm)$/i.test(filename)) {
+    filename += '.mp4';
+  }
+  return filename;
+}
+
+// Default download filename for a video from a template (default: --template /
+// filename_template), relative to the current directory unless the template is absolute
+function getDefaultFilename(video, quality, template = options.template) {
+  template = expandTildePath(resolveFilenameTemplate(template || DEFAULT_FILENAME_TEMPLATE));
+  const filename = renderFilenameTemplate(template, video, quality);
+  return path.isAbsolute(template) ? path.join(path.parse(template).root, filename) : filename;
+}
+
+// Directory template-named downloads go to: --output-dir (config: output_dir)
+// or the current directory
+function getOutputDir() {
+  return path.resolve(expandTildePath(options.outputDir || '.'));
+}
+
+// Full path of a download named by the filename template
+function getDefaultDownloadPath(video, quality, template = options.template) {
+  return path.resolve(getOutputDir(), getDefaultFilename(video, quality, template));
+}
+
+// The file a download to filename would collide with, or null. MPEG-TS
+// streams are saved as .ts instead of .mp4 (see client.download), so for HLS
+// URLs that name is checked too. Playlists behind URLs without .m3u8 are only
+// recognized during the download and aren't covered.
+function findExistingDownload(filename, url) {
+  const names = url && isHlsUrl(url) ? [filename, filename.replace(/\.mp4$/i, '.ts')] : [filename];
+  return names.find(name => fs.existsSync(name)) || null;
+}
+
+// Apply the --on-exists policy to a download target. Resolves to the path to
+// use, or null if the download should be skipped.
+function resolveFileCollision(filename, url) {
+  if (!findExistingDownload(filename, url)) {
+    return filename;
+  }
+  
+  switch (options.onExists) {
+    case 'skip':
+      debug('File exists, skipping', { filename });
+      return null;
+    case 'overwrite':
+      debug('File exists, overwriting', { filename });
+      return filename;
+    default: {
+      const { dir, name, ext } = path.parse(filename);
+      let counter = 2;
+      let candidate;
+      do {
+        candidate = path.join(dir, `${name} (${counter++})${ext}`);
+      } while (findExistingDownload(candidate, url));
+      debug('File exists, using numbered name', { filename, candidate });
+      return candidate;
+    }
+  }
+}
+
+// Format a byte count in megabytes
+function formatMegabytes(bytes) {
+  return `${(bytes / 1048576).toFixed(2)} MB`;
+}
+
+// Subtitle path for a video file: same base name with .srt
+function getSubtitlePath(videoFile) {
+  const { dir, name } = path.parse(videoFile);
+  return path.join(dir, `${name}.srt`);
+}
+
+// Download a video's subtitles, convert them to SRT and save them to targetFile
+async function downloadSubtitles(video, targetFile) {
+  const srt = await client.getSubtitles(video);
+  fs.writeFileSync(targetFile, srt, 'utf8');
+  debug('Subtitles saved', { targetFile, bytes: Buffer.byteLength(srt) });
+  return targetFile;
+}
+
+// Save subtitles next to a downloaded video if --subtitles is set.
+// Failures are reported but don't fail the video download.
+async function saveSubtitlesForVideo(video, videoFile, quiet = false) {
+  if (!options.subtitles) return null;
+  
+  if (!video.url_subtitle) {
+    if (!quiet) console.log(chalk.yellow('No subtitles available for this video'));
+    return null;
+  }
+  
+  try {
+    const subtitleFile = await downloadSubtitles(video, getSubtitlePath(videoFile));
+    if (!quiet) console.log(chalk.green(`Subtitles saved: ${subtitleFile}`));
+    return subtitleFile;
+  } catch (error) {
+    console.error(chalk.yellow(`Could not save subtitles for "${video.title}":`), error.message);
+    debug('Subtitle download failed', { url: video.url_subtitle, error: error.message });
+    return null;
+  }
+}
+
+// How often a wait for the download window checks the clock (catches
+// changes of the system time and suspended machines)
+const DOWNLOAD_WINDOW_CHECK_MS = 60000;
+
+// Wait until the download window (--download-window) is open.
+// onWait(opensAt) is called whenever the wait starts or is checked again.
+async function waitForDownloadWindow(onWait) {
+  if (!downloadWindow) return;
+  
+  let state = getDownloadWindowState(downloadWindow);
+  while (!state.open) {
+    onWait(state.changesAt);
+    await new Promise(resolve => setTimeout(resolve, Math.min(state.changesAt - Date.now(), DOWNLOAD_WINDOW_CHECK_MS)));
+    state = getDownloadWindowState(downloadWindow);
+  }
+}
+
+// Local time of a Date as HH:mm, with "tomorrow" if it isn't today
+function formatClockTime(date) {
+  const time = formatTemplateDate(date.getTime() / 1000, 'HH:mm');
+  return date.toDateString() === new Date().toDateString() ? time : `tomorrow ${time}`;
+}
+
+// Download a video through the client, reporting progress and retries for
+// this file only (the client emits them for all running downloads). With a
+// download window, the download waits for it to open; when it closes, the
+// transfer is stopped and resumed from the partial file once it opens again.
+// onWait(opensAt, paused) reports both. quality is the chosen URL field, e.g.
+// 'url_video_hd' - it also picks the variant when all qualities share one HLS
+// master playlist.
+async function downloadMedia(video, quality, filename, onProgress = () => {}, onRetry = () => {}, onWait = () => {}) {
+  const qualityKey = QUALITIES.find(q => q.value === quality)?.key;
+  const progressListener = (progress) => {
+    if (progress.path === filename) onProgress(progress.downloadedBytes, progress.totalSize, progress.segments);
+  };
+  const retryListener = (retry) => {
+    if (retry.path === filename) onRetry(retry.error, retry.attempt, retry.delay);
+  };
+  
+  client.on('progress', progressListener);
+  client.on('retry', retryListener);
+  try {
+    for (let paused = false; ; paused = true) {
+      await waitForDownloadWindow(opensAt => onWait(opensAt, paused));
+      
+      const controller = new AbortController();
+      const closeTimer = downloadWindow
+        ? setTimeout(() => controller.abort(), getDownloadWindowState(downloadWindow).changesAt - Date.now())
+        : null;
+      try {
+        return await client.download(video, { quality: qualityKey, path: filename, signal: controller.signal });
+      } catch (error) {
+        if (!controller.signal.aborted) throw error;
+        debug('Download window closed, pausing download', { filename });
+      } finally {
+        clearTimeout(closeTimer);
+      }
+    }
+  } finally {
+    client.off('progress', progressListener);
+    client.off('retry', retryListener);
+  }
+}
+
+// NFO path for a video file: same base name with .nfo
+function getNfoPath(videoFile) {
+  const { dir, name } = path.parse(videoFile);
+  return path.join(dir, `${name}.nfo`);
+}
+
+// Kodi/Jellyfin NFO for a video. Entries of a series (topic differs from the
+// title) become episodes with the broadcast year as season, matching the
+// library template; everything else is a movie.
+function buildNfo(video, description) {
+  const isEpisode = video.topic && video.topic.toLowerCase() !== video.title.toLowerCase();
+  const root = isEpisode ? 'episodedetails' : 'movie';
+  const date = formatTemplateDate(video.timestamp, 'YYYY-MM-DD');
+  const element = (name, value) => value ? [`  <${name}>${escapeXml(value)}</${name}>`] : [];
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<${root}>`,
+    ...element('title', video.title),
+    ...(isEpisode
+      ? [...element('showtitle', video.topic), ...element('season', formatTemplateDate(video.timestamp, 'YYYY')), ...element('aired', date)]
+      : [...element('premiered', date), ...element('year', formatTemplateDate(video.timestamp, 'YYYY'))]),
+    ...element('plot', description),
+    ...element('runtime', video.duration ? Math.round(video.duration / 60) : null),
+    ...element('studio', video.channel),
+    `  <uniqueid type="mediathekview" default="true">${escapeXml(video.id)}</uniqueid>`,
+    // Not read by Kodi or Jellyfin, kept as a reference to the broadcaster's page
+    ...element('website', video.url_website),
+    `</${root}>`
+  ].join('\n') + '\n';
+}
+
+// Write an NFO next to a downloaded video if --nfo is set. The full
+// description is fetched; failures are reported but don't fail the download.
+async function saveNfoForVideo(video, videoFile, quiet = false) {
+  if (!options.nfo) return null;
+  
+  let description;
+  try {
+    description = await client.getDescription(video.id);
+  } catch (error) {
+    debug('Description for NFO not available', { id: video.id, error: error.message });
+    description = video.description;
+  }
+  
+  try {
+    const nfoFile = getNfoPath(videoFile);
+    fs.writeFileSync(nfoFile, buildNfo(video, description), 'utf8');
+    if (!quiet) console.log(chalk.green(`Metadata saved: ${nfoFile}`));
+    return nfoFile;
+  } catch (error) {
+    console.error(chalk.yellow(`Could not save metadata for "${video.title}":`), error.message);
+    return null;
+  }
+}
+
+// Hook data for a download: the file paths plus the entry's details
+function getDownloadHookData(video, url, filename, details = {}) {
+  return {
+    path: filename,
+    id: video.id,
+    title: video.title,
+    topic: video.topic,
+    channel: video.channel,
+    date: video.timestamp ? new Date(video.timestamp * 1000).toISOString() : null,
+    duration: video.duration,
+    website: video.url_website,
+    url,
+    ...details
+  };
+}
+
+// Run the [hooks] actions of an event one after another. A failed action is
+// only reported, it doesn't fail the download or sync it ran for. Resolves
+// to the event data with the paths changed by move: actions.
+async function runEventHooks(event, data) {
+  const key = HOOK_EVENTS[event];
+  for (const action of configDefaults.hooks?.[key] || []) {
+    debug('Running hook', { event, action });
+    try {
+      // Template directories emptied by a move are removed up to the output directory
+      data = await runHook(action, event, data, { root: getOutputDir() });
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: ${key} hook "${truncate(action, 60)}" failed:`), error.message);
+      debug('Hook failed', { event, action, error: error.message });
+    }
+  }
+  return data;
+}
+
+// Download several videos with at most `jobs` transfers at a time.
+// items: [{ video, quality, url, filename }]. Resolves to { succeeded, failed }.
+async function runDownloadQueue(items, jobs) {
+  const states = items.map((item, index) => ({
+    ...item,
+    number: index + 1,
+    status: item.url ? 'pending' : 'failed',
+    error: item.url ? null : new Error('No video URL available'),
+    downloadedBytes: 0,
+    totalSize: null,
+    segments: null,
+    retryNote: null,
+    windowNote: null
+  }));
+  const spinner = ora().start();
+  let nextIndex = 0;
+  
+  debug('Starting download queue', { count: items.length, jobs });
+  
+  const render = () => {
+    const done = states.filter(state => state.status === 'done' || state.status === 'skipped').length;
+    const failed = states.filter(state => state.status === 'failed').length;
+    const downloaded = states.reduce((sum, state) => sum + state.downloadedBytes, 0);
+    const lines = [`Downloading ${done + failed}/${states.length} finished (${failed} failed, ${formatMegabytes(downloaded)} total)`];
+    
+    states.filter(state => state.status === 'active').forEach(state => {
+      let progress = formatMegabytes(state.downloadedBytes);
+      if (state.segments) {
+        progress = `${state.segments.segmentsDone}/${state.segments.segmentCount} segments (${progress})`;
+      } else if (state.totalSize) {
+        progress = `${Math.round((state.downloadedBytes / state.totalSize) * 100)}% (${progress} of ${formatMegabytes(state.totalSize)})`;
+      }
+      lines.push(`  [${state.number}] ${truncate(state.video.title, 50)} - ${state.windowNote || state.retryNote || progress}`);
+    });
+    
+    spinner.text = lines.join('\n');
+  };
+  
+  const renderTimer = setInterval(render, 250);
+  render();
+  
+  const worker = async () => {
+    while (nextIndex < states.length) {
+      const state = states[nextIndex++];
+      if (state.status === 'failed') {
+        await runEventHooks('error', getDownloadHookData(state.video, state.url, state.filename, { error: state.error.message }));
+      }
+      if (state.status !== 'pending') continue;
+      
+      const target = resolveFileCollision(state.filename, state.url);
+      if (!target) {
+        state.filename = findExistingDownload(state.filename, state.url);
+        state.status = 'skipped';
+        continue;
+      }
+      state.filename = target;
+      
+      state.status = 'active';
+      debug('Queue item started', { number: state.number, url: state.url, filename: state.filename });
+      
+      try {
+        fs.mkdirSync(path.dirname(state.filename), { recursive: true });
+        const result = await downloadMedia(state.video, state.quality, state.filename, (downloadedBytes, totalSize, segments) => {
+          state.downloadedBytes = downloadedBytes;
+          state.totalSize = totalSize;
+          state.segments = segments;
+          state.retryNote = null;
+          state.windowNote = null;
+        }, (error, attempt) => {
+          state.retryNote = `retry ${attempt}/${DOWNLOAD_RETRIES} after ${error.message}`;
+        }, (opensAt, paused) => {
+          state.windowNote = paused
+            ? `paused outside the download window ${downloadWindow.text}, resumes at ${formatClockTime(opensAt)}`
+            : `waiting for the download window ${downloadWindow.text}, starts at ${formatClockTime(opensAt)}`;
+        });
+        const subtitleFile = await saveSubtitlesForVideo(state.video, result.filename, true);
+        const nfoFile = await saveNfoForVideo(state.video, result.filename, true);
+        const hookData = await runEventHooks('complete', getDownloadHookData(state.video, state.url, result.filename, { size: result.bytes, subtitles: subtitleFile, nfo: nfoFile }));
+        state.filename = hookData.path;
+        state.subtitleFile = hookData.subtitles;
+        state.nfoFile = hookData.nfo;
+        recordDownload(state.video, state.url, state.filename, result.bytes);
+        state.status = 'done';
+      } catch (error) {
+        state.status = 'failed';
+        state.error = error;
+        await runEventHooks('error', getDownloadHookData(state.video, state.url, state.filename, { error: error.message }));
+      }
+      
+      debug('Queue item finished', { number: state.number, status: state.status, error: state.error?.message });
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(jobs, states.length) }, worker));
+  clearInterval(renderTimer);
+  
+  const succeeded = states.filter(state => state.status === 'done');
+  const skipped = states.filter(state => state.status === 'skipped');
+  const failed = states.filter(state => state.status === 'failed');
+  
+  if (failed.length === 0) {
+    spinner.succeed(chalk.green(`Downloaded ${succeeded.length} of ${states.length} videos${skipped.length ? `, ${skipped.length} skipped` : ''}`));
+  } else {
+    spinner.fail(chalk.red(`Downloaded ${succeeded.length} of ${states.length} videos, ${failed.length} failed`));
+  }
+  
+  succeeded.forEach(state => console.log(chalk.green(`  ✔ ${state.video.title} → ${state.filename}${state.subtitleFile ? ' (+ subtitles)' : ''}${state.nfoFile ? ' (+ nfo)' : ''}`)));
+  skipped.forEach(state => console.log(chalk.yellow(`  - ${state.video.title}: ${state.filename} exists, skipped`)));
+  failed.forEach(state => console.log(chalk.red(`  ✖ ${state.video.title}: ${state.error.message}`)));
+  
+  return { succeeded, skipped, failed };
+}
+
+// Download videos selected in the result list into one directory
+async function downloadBatch(videos) {
+  const downloaded = options.force ? [] : videos.filter(video => findInHistory(video));
+  if (downloaded.length > 0) {
+    downloaded.forEach(video => console.log(chalk.yellow(`${video.title}: ${describeHistoryEntry(findInHistory(video), video)}`)));
+    
+    const { downloadAgain } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'downloadAgain',
+        message: `${downloaded.length} of the selected videos were downloaded before. Download them again?`,
+        default: false
+      }
+    ]);
+    
+    if (!downloadAgain) {
+      videos = videos.filter(video => !downloaded.includes(video));
+      if (videos.length === 0) {
+        console.log(chalk.yellow('Nothing left to download'));
+        return;
+      }
+    }
+  }
+  
+  const { directory } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'directory',
+      message: 'Download directory:',
+      default: getOutputDir()
+    }
+  ]);
+  
+  const targetDir = path.resolve(expandTildePath(directory));
+  fs.mkdirSync(targetDir, { recursive: true });
+  
+  const items = await Promise.all(videos.map(async (video) => {
+    const quality = await chooseQuality(video, { quiet: true });
+    return {
+      video,
+      quality,
+      url: quality ? video[quality] : null,
+      filename: path.resolve(targetDir, getDefaultFilename(video, quality))
+    };
+  }));
+  
+  const jobs = parseInt(options.jobs, 10) || 1;
+  const { failed } = await runDownloadQueue(items, jobs);
+  
+  // Reported as the exit code when the session ends
+  if (failed.length > 0) {
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+}
+
+// Download a video in the chosen quality (URL field, e.g. 'url_video_hd'),
+// with the filename prompt unless -o is given
+async function downloadVideo(video, quality) {
+  const url = video[quality];
+  let filename;
+  
+  // If -o/--output is explicitly provided by user, use that directly
+  const outputArg = options.output;
+  
+  if (outputArg) {
+    // Use specified output path directly
+    debug('Using specified output path', { outputPath: outputArg });
+    
+    // Expand tilde if present
+    const expandedPath = expandTildePath(outputArg);
+    debug('Expanded path', { original: outputArg, expanded: expandedPath });
+    
+    // If it's an absolute path, use it as is
+    if (path.isAbsolute(expandedPath)) {
+      filename = expandedPath;
+    } else {
+      // Otherwise treat as relative to current directory
+      filename = path.join(process.cwd(), expandedPath);
+    }
+  } else {
+    // No output path specified, ask for filename (shown in full with --output-dir)
+    const defaultFilename = options.outputDir ? getDefaultDownloadPath(video, quality) : getDefaultFilename(video, quality);
+    
+    debug('Prompting for filename', { defaultFilename, canPrompt });
+    
+    // Ask user for filename (without a terminal, take the default)
+    const { customFilename } = !canPrompt ? { customFilename: defaultFilename } : await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'customFilename',
+        message: 'Enter filename (or press Enter for default):',
+        default: defaultFilename
+      }
+    ]);
     
-    response.body.on('data', (chunk) => {
-      downloadedBytes += chunk.length;
+    // Use custom filename (might be relative or absolute)
+    if (customFilename !== defaultFilename) {
+      // Expand tilde if present
+      const expandedPath = expandTildePath(customFilename);
+      debug('Expanded custom path', { original: customFilename, expanded: expandedPath });
       
-      if (totalSize) {
+      if (path.isAbsolute(expandedPath)) {
+        // Use absolute path as is
+        filename = expandedPath;
+      } else {
+        // Use relative path from current directory
+        filename = path.join(process.cwd(), expandedPath);
+      }
+    } else {
+      // Use default filename (relative to the current directory unless --output-dir is set)
+      filename = path.resolve(process.cwd(), defaultFilename);
+    }
+  }
+  
+  filename = resolveFileCollision(filename, url);
+  if (!filename) {
+    console.log(chalk.yellow('File already exists, skipping download'));
+    return true;
+  }
+  
+  // Template directories are created on demand
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  
+  console.log(chalk.green(`Downloading to: ${filename}`));
+  debug('Starting download', { url, filename });
+  
+  const spinner = ora('Starting download...').start();
+  
+  try {
+    // Perform the download
+    let lastLoggedPercent = 0;
+    
+    const result = await downloadMedia(video, quality, filename, (downloadedBytes, totalSize, segments) => {
+      if (segments) {
+        const progress = Math.round((segments.segmentsDone / segments.segmentCount) * 100);
+        spinner.text = `Downloading stream... ${segments.segmentsDone}/${segments.segmentCount} segments (${formatMegabytes(downloadedBytes)})`;
+        
+        // Log progress every 10%
+        if (progress >= lastLoggedPercent + 10) {
+          debug('Stream download progress', { progress: `${progress}%`, ...segments });
+          lastLoggedPercent = progress;
+        }
+      } else if (totalSize) {
         const progress = Math.round((downloadedBytes / totalSize) * 100);
-        spinner.text = `Downloading... ${progress}% (${(downloadedBytes / 1048576).toFixed(2)} MB of ${(totalSize / 1048576).toFixed(2)} MB)`;
+        spinner.text = `Downloading... ${progress}% (${formatMegabytes(downloadedBytes)} of ${formatMegabytes(totalSize)})`;
         
         // Log progress every 10%
         if (progress >= lastLoggedPercent + 10) {
           debug('Download progress', { 
             progress: `${progress}%`, 
-            downloaded: `${(downloadedBytes / 1048576).toFixed(2)} MB`, 
-            total: `${(totalSize / 1048576).toFixed(2)} MB` 
+            downloaded: formatMegabytes(downloadedBytes), 
+            total: formatMegabytes(totalSize) 
           });
           lastLoggedPercent = progress;
         }
       } else {
-        spinner.text = `Downloading... ${(downloadedBytes / 1048576).toFixed(2)} MB`;
+        spinner.text = `Downloading... ${formatMegabytes(downloadedBytes)}`;
         
         // Log progress every 10 MB
         if (downloadedBytes / 1048576 >= lastLoggedPercent + 10) {
           debug('Download progress (unknown total size)', { 
-            downloaded: `${(downloadedBytes / 1048576).toFixed(2)} MB` 
+            downloaded: formatMegabytes(downloadedBytes) 
           });
           lastLoggedPercent = Math.floor(downloadedBytes / 1048576);
         }
       }
-    });
-    
-    await new Promise((resolve, reject) => {
-      response.body.pipe(fileStream);
-      response.body.on('error', (err) => {
-        debug('Download stream error', { error: err.message });
-        reject(err);
-      });
-      fileStream.on('finish', () => {
-        debug('Download completed', { 
-          filename, 
-          fileSize: `${(downloadedBytes / 1048576).toFixed(2)} MB` 
-        });
-        resolve();
-      });
+    }, (error, attempt, delay) => {
+      spinner.text = `${error.message} - retrying in ${Math.round(delay / 1000)}s (attempt ${attempt}/${DOWNLOAD_RETRIES})`;
+    }, (opensAt, paused) => {
+      spinner.text = paused
+        ? `Paused outside the download window ${downloadWindow.text} - resuming at ${formatClockTime(opensAt)}`
+        : `Waiting for the download window ${downloadWindow.text} - starting at ${formatClockTime(opensAt)}`;
     });
     
     spinner.succeed(chalk.green('Download complete!'));
+    if (result.filename !== filename) {
+      console.log(chalk.green(`Saved as: ${result.filename}`));
+    }
+    const subtitleFile = await saveSubtitlesForVideo(video, result.filename);
+    const nfoFile = await saveNfoForVideo(video, result.filename);
+    
+    // Recorded after the hooks, with the path a move: hook left the file at
+    const hookData = await runEventHooks('complete', getDownloadHookData(video, url, result.filename, { size: result.bytes, subtitles: subtitleFile, nfo: nfoFile }));
+    if (hookData.path !== result.filename) {
+      console.log(chalk.green(`Moved to: ${hookData.path}`));
+    }
+    recordDownload(video, url, hookData.path, result.bytes);
+    return true;
   } catch (error) {
     spinner.fail(chalk.red('Download failed'));
-    console.error(error);
+    console.error(error.message || error);
     debug('Download exception', { error: error.message, stack: error.stack });
+    await runEventHooks('error', getDownloadHookData(video, url, filename, { error: error.message || String(error) }));
+    return false;
+  }
+}
+
+// Read download references from stdin, one per line (blank lines and # comments are skipped)
+async function readStdinReferences() {
+  if (process.stdin.isTTY) {
+    throw new Error('"-" reads IDs and links from stdin - pipe a list into it, e.g. mediathekview download - < ids.txt');
+  }
+  let text = '';
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+// Resolve download references into entry IDs: IDs are used as they are,
+// MediathekViewWeb search links are searched and broadcaster pages are looked
+// up by url_website. Resolves to { ids, unresolved } with a message per
+// reference that didn't lead to any entry.
+async function resolveDownloadReferences(references, spinner) {
+  const ids = [];
+  const unresolved = [];
+  
+  for (const reference of references) {
+    try {
+      const queries = parseShareLink(reference, options.server);
+      if (queries) {
+        spinner.text = `Searching for ${reference}`;
+        const found = [];
+        for (const query of queries) {
+          const { results } = await client.search(query, { exclude: options.exclude, limit: options.limit || SHARE_LINK_LIMIT, ...resultFilters });
+          found.push(...results.map(video => video.id));
+        }
+        debug('Share link resolved', { reference, queries, count: found.length });
+        if (found.length === 0) unresolved.push(`${reference}: no results`);
+        ids.push(...found);
+      } else if (/^https?:\/\//i.test(reference)) {
+        spinner.text = `Looking up ${reference}`;
+        const entries = await client.findByWebsite(reference);
+        debug('Website resolved', { reference, ids: entries.map(entry => entry.id) });
+        if (entries.length === 0) unresolved.push(`${reference}: no entry with this website URL`);
+        ids.push(...entries.map(entry => entry.id));
+      } else {
+        ids.push(reference);
+      }
+    } catch (error) {
+      unresolved.push(`${reference}: ${error.message}`);
+    }
   }
+  
+  return { ids: [...new Set(ids)], unresolved };
 }
 
-// Get and download a video by ID
-async function getAndDownloadVideo(id) {
-  const spinner = ora(`Fetching video details for ID: ${id}`).start();
-  debug('Fetching video details', { id });
+// Download videos given as IDs, search links or website URLs (-d and the
+// download command). A single video is downloaded like one picked in
+// interactive mode, several go through the download queue.
+async function downloadByReference(references) {
+  const spinner = ora('Fetching video details').start();
+  let videos;
+  let problems;
   
   try {
-    // Fetch video entry
-    debug('Making API request to /api/entries', { id });
-    const response = await fetch(`${options.server}/api/entries`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/plain'
-      },
-      body: JSON.stringify([id])
-    });
-    
-    const data = await response.json();
-    debug('API response received', { 
-      status: response.status,
-      hasError: !!data.err,
-      resultCount: data.result?.results?.length
-    });
-    
-    if (data.err) {
-      spinner.fail(chalk.red('Error fetching video details'));
-      console.error(data.err);
-      debug('API error response', data.err);
-      process.exit(1);
-    }
-    
-    if (!data.result.results || data.result.results.length === 0) {
-      spinner.fail(chalk.red(`No video found with ID: ${id}`));
-      debug('No video found for ID', { id });
-      process.exit(1);
-    }
-    
-    const video = data.result.results[0];
-    spinner.succeed(chalk.green('Video details fetched'));
-    debug('Video details retrieved', { 
-      id,
-      title: video.title,
-      channel: video.channel,
-      duration: video.duration,
-      timestamp: video.timestamp,
-      hasHD: !!video.url_video_hd,
-      hasMedium: !!video.url_video,
-      hasLow: !!video.url_video_low
-    });
-    
-    // Initialize filename - will be determined in downloadVideo
-    const filename = "";
-    debug('Filename will be determined during download');
-    
-    // Show video details
-    console.log('\n' + chalk.bold(video.title));
-    console.log(chalk.cyan(`Channel: ${video.channel}`));
-    console.log(chalk.cyan(`Duration: ${Math.floor(video.duration / 60)}:${(video.duration % 60).toString().padStart(2, '0')}`));
-    
-    // Define quality mapping
-    const qualityMap = {
-      'hd': 'url_video_hd',
-      'medium': 'url_video',
-      'low': 'url_video_low'
-    };
-    
-    // Get available qualities
-    const availableQualities = [
-      { name: 'High (HD)', value: 'url_video_hd' },
-      { name: 'Medium', value: 'url_video' },
-      { name: 'Low', value: 'url_video_low' }
-    ].filter(q => video[q.value]);
-    
-    debug('Available video qualities', { 
-      qualities: availableQualities.map(q => q.name)
-    });
+    if (references.includes('-')) {
+      references = [...references.filter(reference => reference !== '-'), ...await readStdinReferences()];
+    }
     
-    // Automatically select quality based on command line preference or select highest available
-    let quality;
+    const { ids, unresolved } = await resolveDownloadReferences(references, spinner);
+    spinner.text = `Fetching video details for ${ids.length === 1 ? `ID: ${ids[0]}` : `${ids.length} IDs`}`;
     
-    // Try to use command line preference if it's available
-    if (options.quality && qualityMap[options.quality.toLowerCase()]) {
-      const preferredQuality = qualityMap[options.quality.toLowerCase()];
-      if (video[preferredQuality]) {
-        quality = preferredQuality;
-        console.log(chalk.cyan(`Selected quality: ${options.quality}`));
-      }
+    // All IDs in one request; the order of the arguments is kept
+    const entries = ids.length > 0 ? await client.getEntries(ids) : [];
+    videos = ids.map(id => entries.find(entry => entry.id === id)).filter(Boolean);
+    problems = [...unresolved, ...ids.filter(id => !videos.some(video => video.id === id)).map(id => `No video found with ID: ${id}`)];
+  } catch (error) {
+    spinner.fail(chalk.red('Error fetching video details'));
+    console.error(error.message);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  if (videos.length === 0) {
+    spinner.fail(chalk.red(references.length === 0 ? 'Nothing to download' : 'No videos found'));
+    problems.forEach(problem => console.error(chalk.red(`  ${problem}`)));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  spinner.succeed(chalk.green(videos.length === 1 ? 'Video details fetched' : `Video details fetched for ${videos.length} videos`));
+  problems.forEach(problem => console.error(chalk.yellow(problem)));
+  
+  let ok;
+  if (videos.length === 1) {
+    ok = await downloadFetchedVideo(videos[0]);
+  } else {
+    // An output path from the config file only applies to single downloads
+    if (options.output && program.getOptionValueSource('output') === 'cli') {
+      console.error(chalk.red('Error: -o/--output names a single file - several videos are named by -t/--template'));
+      process.exit(EXIT_CODES.ERROR);
     }
-    
-    // If no quality selected yet, select highest available quality
+    ok = await downloadQueued(videos);
+  }
+  
+  client.close();
+  process.exit(ok && problems.length === 0 ? EXIT_CODES.OK : EXIT_CODES.ERROR);
+}
+
+// Download a fetched video, with the quality and filename prompts of interactive mode
+async function downloadFetchedVideo(video) {
+  debug('Video details retrieved', { 
+    id: video.id,
+    title: video.title,
+    channel: video.channel,
+    duration: video.duration,
+    timestamp: video.timestamp,
+    hasHD: !!video.url_video_hd,
+    hasMedium: !!video.url_video,
+    hasLow: !!video.url_video_low
+  });
+  
+  // Show video details
+  console.log('\n' + chalk.bold(video.title));
+  console.log(chalk.cyan(`Channel: ${video.channel}`));
+  console.log(chalk.cyan(`Duration: ${formatDuration(video.duration)}`));
+  
+  try {
+    const quality = await chooseQuality(video);
     if (!quality) {
-      if (video.url_video_hd) {
-        quality = 'url_video_hd';
-        console.log(chalk.cyan('Selected quality: High (HD)'));
-      } else if (video.url_video) {
-        quality = 'url_video';
-        console.log(chalk.cyan('Selected quality: Medium'));
-      } else if (video.url_video_low) {
-        quality = 'url_video_low';
-        console.log(chalk.cyan('Selected quality: Low'));
-      }
+      return false;
     }
     
-    debug('User selected quality', { 
-      selectedQuality: quality,
-      url: video[quality]
-    });
-    
-    await downloadVideo(video[quality], filename, video);
+    // The filename is determined in downloadVideo
+    if (await confirmRedownload(video)) {
+      return await downloadVideo(video, quality);
+    }
+    return true;
   } catch (error) {
-    spinner.fail(chalk.red('Failed to process video'));
-    console.error(error);
+    console.error(chalk.red('Failed to process video:'), error.message || error);
     debug('Exception processing video', { error: error.message, stack: error.stack });
+    return false;
+  }
+}
+
+// Download several videos into --output-dir (or the current directory) without
+// prompts; videos in the download history are skipped unless --force is given
+async function downloadQueued(videos) {
+  if (!options.force) {
+    const downloaded = videos.filter(video => findInHistory(video));
+    downloaded.forEach(video => console.log(chalk.yellow(`${video.title}: ${describeHistoryEntry(findInHistory(video), video)}, skipped (--force downloads it again)`)));
+    videos = videos.filter(video => !downloaded.includes(video));
+    if (videos.length === 0) {
+      console.log(chalk.yellow('Nothing left to download'));
+      return true;
+    }
   }
   
-  process.exit(0);
+  const items = await Promise.all(videos.map(async (video) => {
+    const quality = await chooseQuality(video, { quiet: true });
+    return {
+      video,
+      quality,
+      url: quality ? video[quality] : null,
+      filename: getDefaultDownloadPath(video, quality)
+    };
+  }));
+  
+  const jobs = parseInt(options.jobs, 10) || 1;
+  const { failed } = await runDownloadQueue(items, jobs);
+  return failed.length === 0;
 }
 
-// Interactive mode - fuzzy search for movies
-async function startInteractiveMode() {
-  debug('Starting interactive mode');
+// Prompt for a search - resolves to { searchQuery } or, when a live match was picked, { video }
+async function promptSearch(selectedChannel, excludeChannels) {
+  debug('Prompting user for search query', { live: options.live });
   
-  try {
-    // First, get channels
-    debug('Fetching channel list for interactive mode');
-    const response = await fetch(`${options.server}/api/channels`);
-    const data = await response.json();
-    const channels = data.channels || [];
-    debug('Received channels for interactive mode', { channelCount: channels.length });
-    
-    // Prompt for search query only
-    debug('Prompting user for search query');
-    
-    const { searchQuery } = await inquirer.prompt([
+  // Each offline search reads the whole index - too slow to run per keystroke
+  if (options.live && !options.offline) {
+    // Search as the user types - picking a match skips the result list
+    const { liveChoice } = await inquirer.prompt([
       {
-        type: 'input',
-        name: 'searchQuery',
-        message: 'Enter search query:',
-        validate: input => input.length > 0 ? true : 'Please enter a search query'
+        type: 'autocomplete',
+        name: 'liveChoice',
+        message: 'Search:',
+        pageSize: 20,
+        emptyText: 'Type at least two characters to search...',
+        source: createLiveSearchSource(selectedChannel, excludeChannels)
       }
     ]);
     
-    // Use channel from command line if provided
-    const selectedChannel = options.channel || null;
-    // Only use limit if passed as command line argument
-    const limit = options.limit || null;
-    // Get excluded channels from command line if provided
-    const excludeChannels = options.exclude || null;
-    
-    debug('User input received', { searchQuery, selectedChannel, limit, excludeChannels });
-    
-    if (excludeChannels) {
-      console.log(chalk.cyan(`Excluding channels: ${excludeChannels}`));
+    return liveChoice.searchQuery !== undefined ? { searchQuery: liveChoice.searchQuery } : { video: liveChoice };
+  }
+  
+  const { searchQuery } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'searchQuery',
+      message: 'Enter search query:',
+      validate: input => {
+        if (input.length === 0) return 'Please enter a search query';
+        try {
+          parseQuery(input);
+          return true;
+        } catch (error) {
+          return formatQueryError(input, error);
+        }
+      }
     }
+  ]);
+  
+  return { searchQuery };
+}
+
+// Show result pages until a video is selected. The browser object keeps the
+// current offset, so returning to the results reopens the same page.
+// Resolves to a video, an array of videos for a batch download, or null if
+// the search has no results.
+async function browseResults(browser, selectedChannel, limit, excludeChannels) {
+  const pageSize = parseInt(limit || DEFAULT_PAGE_SIZE, 10);
+  
+  while (true) {
+    const { results, queryInfo } = await searchMovies(browser.searchQuery, selectedChannel, pageSize, excludeChannels, browser.offset);
+    const serverCount = queryInfo ? queryInfo.resultCount : results.length;
+    const hasNext = queryInfo ? browser.offset + serverCount < queryInfo.totalResults : false;
     
-    // Search for movies
-    const results = await searchMovies(searchQuery, selectedChannel, limit, excludeChannels);
-    
-    if (results.length === 0) {
+    if (results.length === 0 && browser.offset === 0 && !hasNext) {
       console.log(chalk.yellow('No results found.'));
       debug('No search results found');
-      process.exit(0);
+      return null;
+    }
+    
+    if (queryInfo) {
+      console.log(chalk.green(describePage(browser.offset, queryInfo, results.length)));
     }
+    debug('Displaying search results to user', { resultCount: results.length, offset: browser.offset, queryInfo });
+    
+    const choices = results.map(video => ({
+      name: formatVideoChoice(video),
+      value: video
+    }));
     
-    console.log(chalk.green(`Found ${results.length} results`));
-    debug('Displaying search results to user', { resultCount: results.length });
+    if (results.length > 0 || hasNext || browser.offset > 0) {
+      choices.push(new inquirer.Separator());
+    }
+    if (results.length > 0) {
+      choices.push({ name: chalk.cyan('Select multiple…'), value: NAVIGATION.MULTI });
+    }
+    if (hasNext) {
+      choices.push({ name: chalk.cyan('Next page →'), value: NAVIGATION.NEXT });
+    }
+    if (browser.offset > 0) {
+      choices.push({ name: chalk.cyan('← Previous page'), value: NAVIGATION.PREVIOUS });
+    }
     
     // Display results and let user select
-    const { selectedVideo } = await inquirer.prompt([
+    const { choice } = await inquirer.prompt([
       {
         type: 'list',
-        name: 'selectedVideo',
+        name: 'choice',
         message: 'Select a video:',
         pageSize: 20,
-        choices: results.map(video => ({
-          name: `${video.channel} - ${video.title} (${Math.floor(video.duration / 60)}:${(video.duration % 60).toString().padStart(2, '0')})`,
-          value: video
-        }))
+        choices
       }
     ]);
     
-    debug('User selected video', { 
-      id: selectedVideo.id,
-      title: selectedVideo.title, 
-      channel: selectedVideo.channel 
+    if (choice === NAVIGATION.NEXT) {
+      browser.previousOffsets.push(browser.offset);
+      browser.offset += serverCount;
+      debug('Loading next page', { offset: browser.offset });
+    } else if (choice === NAVIGATION.PREVIOUS) {
+      browser.offset = browser.previousOffsets.pop() || 0;
+      debug('Loading previous page', { offset: browser.offset });
+    } else if (choice === NAVIGATION.MULTI) {
+      const { selectedVideos } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'selectedVideos',
+          message: 'Select videos (space to toggle, a for all):',
+          pageSize: 20,
+          choices: results.map(video => ({
+            name: formatVideoChoice(video),
+            value: video
+          }))
+        }
+      ]);
+      
+      debug('User selected multiple videos', { count: selectedVideos.length });
+      if (selectedVideos.length > 0) {
+        return selectedVideos;
+      }
+    } else {
+      return choice;
+    }
+  }
+}
+
+// Copy text to the system clipboard, resolves to false if no clipboard tool works
+async function copyToClipboard(text) {
+  const commands = {
+    darwin: [['pbcopy', []]],
+    win32: [['clip', []]]
+  }[process.platform] || [
+    ['wl-copy', []],
+    ['xclip', ['-selection', 'clipboard']],
+    ['xsel', ['--clipboard', '--input']]
+  ];
+  
+  for (const [command, args] of commands) {
+    const copied = await new Promise((resolve) => {
+      const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+      child.on('error', () => resolve(false));
+      child.on('close', (code) => resolve(code === 0));
+      child.stdin.on('error', () => {});
+      child.stdin.end(text);
     });
     
-    // Initialize filename - will be determined in downloadVideo
-    const filename = "";
-    debug('Filename will be determined during download');
-    
-    // Show video details
-    console.log('\n' + chalk.bold(selectedVideo.title));
-    console.log(chalk.cyan(`Channel: ${selectedVideo.channel}`));
-    console.log(chalk.cyan(`Duration: ${Math.floor(selectedVideo.duration / 60)}:${(selectedVideo.duration % 60).toString().padStart(2, '0')}`));
+    debug('Clipboard command finished', { command, copied });
+    if (copied) return true;
+  }
+  
+  return false;
+}
+
+// Open a URL in the default browser
+function openInBrowser(url) {
+  const [command, args] = {
+    darwin: ['open', [url]],
+    win32: ['cmd', ['/c', 'start', '""', url]]
+  }[process.platform] || ['xdg-open', [url]];
+  
+  debug('Opening URL in browser', { command, url });
+  const child = spawn(command, args, { stdio: 'ignore', detached: true });
+  child.on('error', (error) => {
+    console.error(chalk.red(`Could not open browser (${command}):`), error.message);
+  });
+  child.unref();
+}
+
+// Print the details of a selected video
+function showVideoSummary(video) {
+  console.log('\n' + chalk.bold(video.title));
+  if (video.topic) {
+    console.log(chalk.cyan(`Topic: ${video.topic}`));
+  }
+  console.log(chalk.cyan(`Channel: ${video.channel}`));
+  console.log(chalk.cyan(`Date: ${formatDate(video.timestamp)}`));
+  console.log(chalk.cyan(`Duration: ${formatDuration(video.duration)}`));
+}
+
+// Action menu for a selected video - resolves to 'back' or 'new'
+async function videoActionMenu(video, hasResults) {
+  showVideoSummary(video);
+  let quality = await chooseQuality(video);
+  
+  while (true) {
+    const qualityName = QUALITIES.find(q => q.value === quality)?.name || 'none';
+    const availableQualities = QUALITIES.filter(q => video[q.value]);
+    const choices = [];
     
-    // Try to get description
-    try {
-      debug('Fetching video description');
-      const description = await getVideoDetails(selectedVideo.id);
-      console.log(chalk.cyan('Description:'));
-      console.log(description);
-    } catch (error) {
-      console.log(chalk.yellow('Description not available'));
-      debug('Failed to get video description', { error: error.message });
+    if (await findPlayer()) {
+      choices.push({ name: 'Play', value: 'play', disabled: !quality && 'no video URL' });
     }
+    choices.push(
+      { name: `Download (${qualityName})`, value: 'download', disabled: !quality && 'no video URL' },
+      { name: 'Show description', value: 'description' },
+      { name: 'Download subtitles', value: 'subtitles', disabled: !video.url_subtitle && 'not available' },
+      { name: 'Copy URL', value: 'copy', disabled: !quality && 'no video URL' },
+      { name: 'Open website', value: 'website', disabled: !video.url_website && 'not available' },
+      { name: 'Choose another quality', value: 'quality', disabled: availableQualities.length < 2 && 'no other quality' },
+      new inquirer.Separator()
+    );
+    if (hasResults) {
+      choices.push({ name: 'Back to results', value: 'back' });
+    }
+    choices.push(
+      { name: 'New search', value: 'new' },
+      { name: 'Quit', value: 'quit' }
+    );
     
-    // Define quality mapping
-    const qualityMap = {
-      'hd': 'url_video_hd',
-      'medium': 'url_video',
-      'low': 'url_video_low'
-    };
-    
-    // Get available qualities
-    const availableQualities = [
-      { name: 'High (HD)', value: 'url_video_hd' },
-      { name: 'Medium', value: 'url_video' },
-      { name: 'Low', value: 'url_video_low' }
-    ].filter(q => selectedVideo[q.value]);
-    
-    debug('Available quality options', { 
-      qualities: availableQualities.map(q => q.name) 
-    });
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'What would you like to do?',
+        pageSize: 12,
+        choices
+      }
+    ]);
     
-    // Automatically select quality based on command line preference or select highest available
-    let quality;
+    debug('User selected action', { action, id: video.id });
     
-    // Try to use command line preference if it's available
-    if (options.quality && qualityMap[options.quality.toLowerCase()]) {
-      const preferredQuality = qualityMap[options.quality.toLowerCase()];
-      if (selectedVideo[preferredQuality]) {
-        quality = preferredQuality;
-        console.log(chalk.cyan(`Selected quality: ${options.quality}`));
+    try {
+      switch (action) {
+        case 'play':
+          await playVideos([{ video, url: video[quality] }]);
+          break;
+        case 'download':
+          if (await confirmRedownload(video)) {
+            await downloadVideo(video, quality);
+          }
+          break;
+        case 'description': {
+          let description;
+          try {
+            description = await getVideoDetails(video.id);
+          } catch (error) {
+            debug('Failed to get video description', { error: error.message });
+            description = video.description;
+          }
+          if (description) {
+            console.log(chalk.cyan('Description:'));
+            console.log(description);
+          } else {
+            console.log(chalk.yellow('Description not available'));
+          }
+          break;
+        }
+        case 'subtitles': {
+          const { subtitleFile } = await inquirer.prompt([
+            {
+              type: 'input',
+              name: 'subtitleFile',
+              message: 'Save subtitles as:',
+              default: getSubtitlePath(getDefaultFilename(video, quality))
+            }
+          ]);
+          const saved = await downloadSubtitles(video, path.resolve(expandTildePath(subtitleFile)));
+          console.log(chalk.green(`Subtitles saved: ${saved}`));
+          break;
+        }
+        case 'copy':
+          if (await copyToClipboard(video[quality])) {
+            console.log(chalk.green('URL copied to clipboard'));
+          } else {
+            console.log(chalk.yellow('No clipboard tool found (pbcopy, wl-copy, xclip, xsel). URL:'));
+            console.log(video[quality]);
+          }
+          break;
+        case 'website':
+          openInBrowser(video.url_website);
+          console.log(chalk.green(`Opened ${video.url_website}`));
+          break;
+        case 'quality':
+          quality = await promptQuality(video, quality);
+          break;
+        case 'quit':
+          debug('User quit interactive session', { exitCode: process.exitCode || 0 });
+          client.close();
+          // Non-zero if a batch download failed during the session
+          process.exit();
+          break;
+        default:
+          return action;
       }
+    } catch (error) {
+      console.error(chalk.red('Action failed:'), error.message || error);
+      debug('Action exception', { action, error: error.message, stack: error.stack });
     }
-    
-    // If no quality selected yet, select highest available quality
-    if (!quality) {
-      if (selectedVideo.url_video_hd) {
-        quality = 'url_video_hd';
-        console.log(chalk.cyan('Selected quality: High (HD)'));
-      } else if (selectedVideo.url_video) {
-        quality = 'url_video';
-        console.log(chalk.cyan('Selected quality: Medium'));
-      } else if (selectedVideo.url_video_low) {
-        quality = 'url_video_low';
-        console.log(chalk.cyan('Selected quality: Low'));
-      }
+  }
+}
+
+// Download several selected videos, or play them as a playlist if a player is installed
+async function multipleVideosAction(videos) {
+  if (!await findPlayer()) {
+    await downloadBatch(videos);
+    return;
+  }
+  
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: `What would you like to do with ${videos.length} videos?`,
+      choices: [
+        { name: 'Download', value: 'download' },
+        { name: 'Play as playlist', value: 'play' },
+        { name: 'Back to results', value: 'back' }
+      ]
     }
-    
-    debug('User selected quality', { quality });
-    
-    await downloadVideo(selectedVideo[quality], filename, selectedVideo);
+  ]);
+  
+  debug('User selected action for multiple videos', { action, count: videos.length });
+  if (action === 'download') {
+    await downloadBatch(videos);
+  } else if (action === 'play') {
+    await playVideos(await getVideoItems(videos));
+  }
+}
+
+// Interactive mode - session loop that runs until the user quits
+async function startInteractiveMode() {
+  debug('Starting interactive mode');
+  
+  // Use channel from command line if provided
+  const selectedChannel = options.channel || null;
+  // Only use limit if passed as command line argument
+  const limit = options.limit || null;
+  // Get excluded channels from command line if provided
+  const excludeChannels = options.exclude || null;
+  
+  if (excludeChannels) {
+    console.log(chalk.cyan(`Excluding channels: ${excludeChannels}`));
+  }
+  
+  // Load channels up front; the list is reused for the whole session
+  try {
+    const channels = await client.listChannels();
+    debug('Received channels for interactive mode', { channelCount: channels.length });
   } catch (error) {
-    console.error(chalk.red('Interactive mode failed:'), error);
-    debug('Interactive mode exception', { error: error.message, stack: error.stack });
+    debug('Failed to fetch channels for interactive mode', { error: error.message });
   }
   
-  process.exit(0);
+  while (true) {
+    try {
+      const { searchQuery, video } = await promptSearch(selectedChannel, excludeChannels);
+      debug('User input received', { searchQuery, selectedChannel, limit, excludeChannels });
+      
+      // A live match has no result list to go back to
+      const browser = searchQuery !== undefined ? { searchQuery, offset: 0, previousOffsets: [] } : null;
+      let selectedVideo = video || null;
+      
+      while (true) {
+        if (!selectedVideo) {
+          selectedVideo = await browseResults(browser, selectedChannel, limit, excludeChannels);
+          if (!selectedVideo) break;
+        }
+        
+        // Batch downloads and playlists return to the same result page
+        if (Array.isArray(selectedVideo)) {
+          await multipleVideosAction(selectedVideo);
+          selectedVideo = null;
+          continue;
+        }
+        
+        debug('User selected video', { 
+          id: selectedVideo.id,
+          title: selectedVideo.title, 
+          channel: selectedVideo.channel 
+        });
+        
+        const next = await videoActionMenu(selectedVideo, browser !== null);
+        if (next !== 'back') break;
+        selectedVideo = null;
+      }
+    } catch (error) {
+      console.error(chalk.red('Interactive mode failed:'), error.message || error);
+      debug('Interactive mode exception', { error: error.message, stack: error.stack });
+    }
+  }
 }
 
 
@@ -836,7 +3229,7 @@ async function startInteractiveMode() {
 process.on('SIGINT', () => {
   console.log(chalk.yellow('\nExiting...'));
   debug('User interrupted program with SIGINT');
-  socket.disconnect();
+  client.close();
   debug('Socket disconnected during cleanup');
   process.exit(0);
 });
@@ -852,4 +3245,23 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error(chalk.red('Unhandled promise rejection:'), reason);
   debug('CRITICAL: Unhandled promise rejection', { reason: reason?.message || reason, stack: reason?.stack });
   process.exit(1);
-});
\ No newline at end of file
+});
+
+// Start: config, subscription, history, cache and index management work offline, everything else needs the server
+if (isConfigCommand) {
+  runConfigCommand(command);
+} else if (command && command.name.startsWith('subscribe-')) {
+  runSubscribeCommand(command);
+} else if (command && command.name.startsWith('history-')) {
+  runHistoryCommand(command);
+} else if (command && command.name.startsWith('cache-')) {
+  runCacheCommand(command);
+} else if (command && command.name.startsWith('index-')) {
+  runIndexCommand(command);
+} else {
+  client.connect().then(runCommand, (error) => {
+    console.error(chalk.red('Error:'), error.message);
+    debug('Connection failed', { server: options.server, error: error.message });
+    process.exit(EXIT_CODES.ERROR);
+  });
+}
@@ -0,0 +1,19 @@
+// Matching the same broadcast for --dedupe and the download history
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSameBroadcast, isSameAiring } from '../client.js';
+
+const episode = { topic: 'tagesschau', title: 'tagesschau 20:00 Uhr', channel: 'ARD', duration: 900, timestamp: 1760900400 };
+
+test('takes a broadcast on another channel for the same one', () => {
+  const simulcast = { ...episode, channel: 'tagesschau24', duration: 930 };
+  assert.ok(isSameBroadcast(episode, simulcast));
+  assert.ok(isSameAiring(episode, simulcast));
+});
+
+test('keeps episodes of a daily show apart in the history', () => {
+  const nextDay = { ...episode, timestamp: episode.timestamp + 24 * 3600 };
+  assert.ok(isSameBroadcast(episode, nextDay));
+  assert.ok(!isSameAiring(episode, nextDay));
+  assert.ok(!isSameAiring({ ...episode, timestamp: undefined }, episode));
+});
@@ -0,0 +1,32 @@
+// Writing settings with config set and reading them back
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setConfigValue, loadConfigFile } from '../config.js';
+
+let tempDir;
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mediathekview-config-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('sets boolean settings to true and false', () => {
+  const file = path.join(tempDir, 'config.ini');
+
+  setConfigValue(file, 'nfo', 'true');
+  setConfigValue(file, 'subtitles', 'false');
+  setConfigValue(file, 'profile.kids.nfo', 'FALSE');
+
+  const { config, errors } = loadConfigFile(file);
+  assert.deepEqual(errors, []);
+  assert.equal(config.nfo, true);
+  assert.equal(config.subtitles, false);
+  assert.equal(config.profile.kids.nfo, false);
+  assert.throws(() => setConfigValue(file, 'nfo', 'maybe'), /nfo: Expected true or false, got "maybe"/);
+});
@@ -0,0 +1,164 @@
+// Downloads through MediathekClient against a local HTTP server: resuming
+// after a dropped connection, joining HLS segments and the rate limit
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MediathekClient } from '../client.js';
+
+const video = Buffer.from(Array.from({ length: 100000 }, (value, index) => index % 251));
+const segments = ['first segment\n', 'second segment\n', 'third segment\n'];
+
+let server;
+let base;
+let tempDir;
+const requests = [];
+
+before(async () => {
+  let dropped = false;
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, range: req.headers.range || null });
+
+    if (req.url === '/video.mp4' || req.url === '/slow.mp4') {
+      res.setHeader('accept-ranges', 'bytes');
+      const match = /bytes=(\d+)-/.exec(req.headers.range || '');
+      if (match) {
+        const start = Number(match[1]);
+        res.writeHead(206, {
+          'content-length': video.length - start,
+          'content-range': `bytes ${start}-${video.length - 1}/${video.length}`
+        });
+        res.end(video.subarray(start));
+        return;
+      }
+      res.writeHead(200, { 'content-length': video.length });
+      // The first response for /video.mp4 breaks off after 30000 bytes
+      if (req.url === '/video.mp4' && !dropped) {
+        dropped = true;
+        res.write(video.subarray(0, 30000), () => setTimeout(() => res.destroy(), 50));
+        return;
+      }
+      res.end(video);
+      return;
+    }
+
+    if (req.url === '/stream.m3u8') {
+      res.setHeader('content-type', 'application/vnd.apple.mpegurl');
+      res.end(['#EXTM3U', '#EXT-X-TARGETDURATION:10', ...segments.flatMap((segment, index) => ['#EXTINF:10,', `seg${index}.ts`]), '#EXT-X-ENDLIST', ''].join('\n'));
+      return;
+    }
+
+    // Twelve slow segments, the second of which is missing
+    if (req.url === '/broken.m3u8') {
+      res.end(['#EXTM3U', '#EXT-X-TARGETDURATION:10', ...Array.from({ length: 12 }, (value, index) => ['#EXTINF:10,', `broken${index}.ts`]).flat(), '#EXT-X-ENDLIST', ''].join('\n'));
+      return;
+    }
+    const broken = /^\/broken(\d+)\.ts$/.exec(req.url);
+    if (broken) {
+      if (broken[1] === '1') {
+        res.writeHead(404);
+        res.end();
+      } else {
+        setTimeout(() => res.end('segment\n'), 100);
+      }
+      return;
+    }
+
+    const segment = /^\/seg(\d)\.ts$/.exec(req.url);
+    if (segment) {
+      res.end(segments[Number(segment[1])]);
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mediathekview-test-'));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// A client that never touches the user's data or cache directory
+function createClient(options = {}) {
+  return new MediathekClient({ dataDir: tempDir, cacheDir: tempDir, cache: false, ...options });
+}
+
+test('resumes a dropped download with a range request', async () => {
+  const client = createClient();
+  const retries = [];
+  client.on('retry', retry => retries.push(retry));
+  const filename = path.join(tempDir, 'video.mp4');
+
+  const result = await client.download({ id: 'v1', url_video_hd: `${base}/video.mp4` }, { path: filename });
+
+  assert.deepEqual(result, { filename, bytes: video.length });
+  assert.ok(fs.readFileSync(filename).equals(video));
+  assert.ok(!fs.existsSync(`${filename}.part`));
+  assert.equal(retries.length, 1);
+
+  const videoRequests = requests.filter(request => request.url === '/video.mp4');
+  assert.equal(videoRequests.length, 2);
+  assert.equal(videoRequests[0].range, null);
+  assert.match(videoRequests[1].range, /^bytes=[1-9]\d*-$/);
+});
+
+test('joins the segments of an HLS stream in playlist order', async () => {
+  const client = createClient();
+  const progress = [];
+  client.on('progress', event => progress.push(event.segments));
+
+  const result = await client.download({ id: 'v2', url_video_hd: `${base}/stream.m3u8` }, { path: path.join(tempDir, 'stream.mp4') });
+
+  // MPEG-TS streams get a .ts extension
+  assert.equal(result.filename, path.join(tempDir, 'stream.ts'));
+  assert.equal(fs.readFileSync(result.filename, 'utf8'), segments.join(''));
+  assert.equal(result.bytes, Buffer.byteLength(segments.join('')));
+  assert.ok(!fs.existsSync(`${result.filename}.segments`));
+  assert.deepEqual(progress.at(-1), { segmentsDone: 3, segmentCount: 3 });
+});
+
+test('stops fetching segments once one fails for good', async () => {
+  const client = createClient();
+  const filename = path.join(tempDir, 'broken.mp4');
+
+  await assert.rejects(client.download({ id: 'v5', url_video_hd: `${base}/broken.m3u8` }, { path: filename }), /404/);
+
+  // Workers still running would fetch the remaining segments in the meantime
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const fetched = requests.filter(request => /^\/broken\d+\.ts$/.test(request.url)).length;
+  assert.ok(fetched <= 4, `fetched ${fetched} segments`);
+});
+
+test('limits the transfer rate', async () => {
+  const client = createClient({ rateLimit: 100000 });
+  const filename = path.join(tempDir, 'slow.mp4');
+  const started = Date.now();
+
+  await client.download({ id: 'v3', url_video_hd: `${base}/slow.mp4` }, { path: filename });
+
+  // 100000 bytes at 100000 bytes per second; the first chunk isn't held back
+  assert.ok(Date.now() - started >= 300, `took only ${Date.now() - started} ms`);
+  assert.ok(fs.readFileSync(filename).equals(video));
+});
+
+test('checks the video URLs of every quality', async () => {
+  const client = createClient();
+
+  const probes = await client.probeQualities({ id: 'v4', url_video_hd: `${base}/slow.mp4`, url_video_low: `${base}/missing.mp4` });
+
+  assert.deepEqual(probes, [
+    { quality: 'hd', url: `${base}/slow.mp4`, available: true, size: video.length, status: 200, error: null },
+    { quality: 'low', url: `${base}/missing.mp4`, available: false, size: null, status: 404, error: null }
+  ]);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(client.probeQualities({ id: 'v4', url_video_hd: `${base}/slow.mp4` }, { signal: controller.signal }), { name: 'AbortError' });
+});
@@ -0,0 +1,81 @@
+// Hook actions: webhooks against a local HTTP server, shell commands and
+// moving downloads into a library folder
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runHook, getHookEnvironment } from '../hooks.js';
+
+let server;
+let base;
+let tempDir;
+const posts = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      posts.push({ url: req.url, method: req.method, type: req.headers['content-type'], body });
+      res.writeHead(req.url === '/fail' ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mediathekview-hooks-'));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('posts the event as JSON to a webhook', async () => {
+  const data = { path: '/videos/tatort.mp4', title: 'Tatort', size: 1234 };
+
+  assert.equal(await runHook(`${base}/notify`, 'complete', data), data);
+
+  const post = posts.find(request => request.url === '/notify');
+  assert.equal(post.method, 'POST');
+  assert.equal(post.type, 'application/json');
+  assert.deepEqual(JSON.parse(post.body), { event: 'complete', ...data });
+});
+
+test('rejects when the webhook answers with an error status', async () => {
+  await assert.rejects(runHook(`${base}/fail`, 'error', { error: 'HTTP 404' }), /responded with 500/);
+});
+
+test('runs shell commands with MVW_ variables', async () => {
+  const output = path.join(tempDir, 'command.txt');
+  const data = { path: '/videos/tatort.mp4', title: 'Tatort', subtitles: null };
+
+  await runHook(`echo "$MVW_EVENT $MVW_TITLE $MVW_PATH" > "${output}"`, 'complete', data);
+
+  assert.equal(fs.readFileSync(output, 'utf8'), 'complete Tatort /videos/tatort.mp4\n');
+  assert.deepEqual(getHookEnvironment('complete', data), { MVW_EVENT: 'complete', MVW_PATH: '/videos/tatort.mp4', MVW_TITLE: 'Tatort' });
+  await assert.rejects(runHook('echo broken >&2 && exit 3', 'complete', data), /code 3: broken/);
+});
+
+test('moves a download with its sidecars and removes emptied directories', async () => {
+  const root = path.join(tempDir, 'downloads');
+  const season = path.join(root, 'Tatort', 'Season 2026');
+  const library = path.join(tempDir, 'library');
+  fs.mkdirSync(season, { recursive: true });
+  fs.writeFileSync(path.join(season, 'Folge.mp4'), 'video');
+  fs.writeFileSync(path.join(season, 'Folge.nfo'), 'nfo');
+
+  const moved = await runHook(`move:${library}`, 'complete', {
+    path: path.join(season, 'Folge.mp4'),
+    nfo: path.join(season, 'Folge.nfo'),
+    subtitles: null
+  }, { root });
+
+  assert.equal(moved.path, path.join(library, 'Folge.mp4'));
+  assert.equal(moved.nfo, path.join(library, 'Folge.nfo'));
+  assert.equal(fs.readFileSync(moved.path, 'utf8'), 'video');
+  assert.ok(!fs.existsSync(path.join(root, 'Tatort')));
+  assert.ok(fs.existsSync(root));
+});
@@ -0,0 +1,22 @@
+// The query syntax: field terms and plain text containing colons
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../client.js';
+
+test('reads field terms', () => {
+  const parsed = parseQuery('topic:Tatort title:"Der Fall" !channel:ZDF dur:>60m');
+
+  assert.deepEqual(parsed.queries, [{ fields: ['topic'], query: 'Tatort' }, { fields: ['title'], query: 'Der Fall' }]);
+  assert.deepEqual(parsed.exclusions, [{ fields: ['channel'], value: 'ZDF' }]);
+  assert.equal(parsed.duration_min, 3600);
+});
+
+test('searches "Topic: Title" and unknown fields as plain text', () => {
+  assert.deepEqual(parseQuery('Tatort: Borowski').queries, [{ fields: ['title', 'topic'], query: 'Tatort: Borowski' }]);
+  assert.deepEqual(parseQuery('Borowski und die Angst channel:ARD').queries, [
+    { fields: ['title', 'topic'], query: 'Borowski und die Angst' },
+    { fields: ['channel'], query: 'ARD' }
+  ]);
+  assert.deepEqual(parseQuery('Spezial:Wahl').queries, [{ fields: ['title', 'topic'], query: 'Spezial:Wahl' }]);
+  assert.throws(() => parseQuery('title:""'), /Missing value for 'title:' at column 7/);
+});